@@ -7,7 +7,7 @@ require('dotenv').config();
 
 const { limiter, helmet } = require('./middleware/security');
 const { cleanupVectorDb } = require('./services/cleanupService');
-const { ensureCollection } = require('./utils/qdrantClient');
+const { getVectorStore } = require('./utils/vectorStore');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -24,8 +24,8 @@ app.set('trust proxy', false);
 
 app.use(cors({
   origin: '*',
-  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Workspace-Id'],
   exposedHeaders: ['Content-Type'],
   credentials: false
 }));
@@ -39,6 +39,8 @@ app.use(limiter);
 const jsonParser = express.json({ limit: '10mb' });
 app.use('/api/chat', jsonParser);
 app.use('/api/key', jsonParser);
+app.use('/api/auth', jsonParser);
+app.use('/api/workspaces', jsonParser);
 app.use('/api/cleanup', jsonParser);
 app.use('/api/documents/process-url', jsonParser);
 
@@ -60,6 +62,8 @@ const documentRoutes = require('./routes/documentRoutes');
 const chatRoutes = require('./routes/chatRoutes');
 const keyRoutes = require('./routes/keyRoutes');
 const cleanupRoutes = require('./routes/cleanupRoutes');
+const authRoutes = require('./routes/authRoutes');
+const workspaceRoutes = require('./routes/workspaceRoutes');
 
 // API routes
 app.get('/', (req, res) => {
@@ -73,6 +77,8 @@ app.use('/api/documents', documentRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/key', keyRoutes);
 app.use('/api/cleanup', cleanupRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/workspaces', workspaceRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -134,20 +140,20 @@ const cleanupUploads = async () => {
   }
 };
 
-// Initialize Qdrant collections
-const initQdrant = async () => {
+// Initialize vector store collections
+const initVectorStore = async () => {
   try {
-    await ensureCollection('document_vectors');
-    await ensureCollection('document_metadata');
+    await getVectorStore().ensureCollection('document_vectors');
+    await getVectorStore().ensureCollection('document_metadata');
   } catch (err) {
-    console.error('Error initializing Qdrant collections:', err);
+    console.error('Error initializing vector store collections:', err);
   }
 };
 
 // Initialize server
 const initServer = async () => {
   await ensureDirectoriesExist();
-  await initQdrant();
+  await initVectorStore();
   
   // Only start the server if not in Vercel environment
   if (process.env.NODE_ENV !== 'production') {
@@ -0,0 +1,38 @@
+const { verifyAdminKey, recordRejectedKey } = require('../services/adminService');
+
+// Require a valid, unrevoked admin key in x-admin-key and attach the admin as
+// req.admin ({ name, source }); no address or environment is trusted without one
+const requireAdmin = async (req, res, next) => {
+  const adminKey = req.headers['x-admin-key'];
+  if (!adminKey) {
+    return res.status(401).json({
+      error: 'Admin key is required',
+      code: 'ADMIN_KEY_MISSING'
+    });
+  }
+
+  try {
+    const admin = await verifyAdminKey(adminKey);
+    if (!admin) {
+      console.warn(`${new Date().toISOString()} - Rejected admin key for ${req.method} ${req.originalUrl} from ${req.ip}`);
+      // The request is refused either way, so a failed audit write is only logged here
+      await recordRejectedKey({ method: req.method, path: req.originalUrl, ip: req.ip }).catch(() => {});
+      return res.status(403).json({
+        error: 'Unauthorized access',
+        code: 'ADMIN_KEY_INVALID'
+      });
+    }
+    req.admin = admin;
+    next();
+  } catch (error) {
+    console.error('Error verifying admin key:', error);
+    res.status(500).json({
+      error: 'Failed to verify admin key',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  requireAdmin
+};
@@ -0,0 +1,83 @@
+const { resolveCaller } = require('../services/identityService');
+const { hasRole } = require('../utils/ownership');
+
+// Map authentication errors to an HTTP status and response body, or null for other errors
+const describeAuthError = (error) => {
+  switch (error.code) {
+    case 'AUTH_REQUIRED':
+      return { status: 401, body: { error: 'Authentication is required', code: error.code, details: error.message } };
+    case 'INVALID_TOKEN':
+      return { status: 401, body: { error: 'Access token is invalid or expired', code: error.code } };
+    case 'WORKSPACE_NOT_FOUND':
+      return { status: 404, body: { error: 'Workspace not found', code: error.code, details: error.message } };
+    case 'WORKSPACE_ACCESS_DENIED':
+      return { status: 403, body: { error: 'Access to this workspace is not allowed', code: error.code } };
+    case 'INSUFFICIENT_ROLE':
+      return { status: 403, body: { error: 'Your workspace role does not allow this', code: error.code, details: error.message } };
+    default:
+      return null;
+  }
+};
+
+// Read the access token from "Authorization: Bearer <token>"
+const readBearerToken = (req) => {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+};
+
+// Resolve who the request comes from and attach it as req.caller; routes pass
+// req.caller to services instead of reading credentials from headers themselves
+const authenticate = async (req, res, next) => {
+  try {
+    req.caller = await resolveCaller({
+      token: readBearerToken(req),
+      apiKey: req.headers['x-api-key'],
+      workspaceId: req.headers['x-workspace-id']
+    });
+    next();
+  } catch (error) {
+    const described = describeAuthError(error);
+    if (described) {
+      return res.status(described.status).json(described.body);
+    }
+
+    console.error('Error authenticating request:', error);
+    res.status(500).json({
+      error: 'Failed to authenticate request',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Authenticate, and refuse callers that aren't signed in with an access token
+const requireUser = [
+  authenticate,
+  (req, res, next) => {
+    if (!req.caller.userId) {
+      return res.status(401).json({
+        error: 'An access token is required',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+    next();
+  }
+];
+
+// Refuse callers whose workspace role is below the given one; use after authenticate
+const requireRole = (role) => (req, res, next) => {
+  if (!hasRole(req.caller, role)) {
+    return res.status(403).json({
+      error: `This requires the ${role} role in the workspace`,
+      code: 'INSUFFICIENT_ROLE'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  describeAuthError,
+  readBearerToken,
+  authenticate,
+  requireUser,
+  requireRole
+};
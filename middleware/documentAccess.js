@@ -0,0 +1,45 @@
+const { authorizeDocument } = require('../services/accessService');
+
+// Map authorization errors to an HTTP status and response body, or null for other errors
+const describeAccessError = (error) => {
+  switch (error.code) {
+    case 'DOCUMENT_NOT_FOUND':
+      return { status: 404, body: { error: 'Document not found', code: error.code, details: error.message } };
+    case 'DOCUMENT_ACCESS_DENIED':
+      return { status: 403, body: { error: 'Access to this document is not allowed', code: error.code } };
+    case 'INSUFFICIENT_ROLE':
+      return { status: 403, body: { error: 'Your workspace role does not allow this', code: error.code, details: error.message } };
+    default:
+      return null;
+  }
+};
+
+// Resolve req.params.documentId to a document the caller may use with the given workspace
+// role and attach its metadata as req.document; every route with a :documentId parameter
+// goes through this, after authenticate
+const requireDocumentRole = (role) => async (req, res, next) => {
+  try {
+    req.document = await authorizeDocument(req.params.documentId, req.caller, role);
+    next();
+  } catch (error) {
+    const described = describeAccessError(error);
+    if (described) {
+      return res.status(described.status).json(described.body);
+    }
+
+    console.error('Error authorizing document access:', error);
+    res.status(500).json({
+      error: 'Failed to check document access',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Read access, for routes that only look at or chat with a document
+const requireDocumentAccess = requireDocumentRole('viewer');
+
+module.exports = {
+  describeAccessError,
+  requireDocumentRole,
+  requireDocumentAccess
+};
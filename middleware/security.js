@@ -1,5 +1,6 @@
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
+const { getLoader, getSupportedExtensions } = require('../utils/documentLoaders');
 
 // Rate limiting configuration
 const limiter = rateLimit({
@@ -9,14 +10,18 @@ const limiter = rateLimit({
   // This avoids the ERR_ERL_PERMISSIVE_TRUST_PROXY error
 });
 
-// File type validation
-const allowedFileTypes = ['application/pdf'];
+// File type validation - attaches the matching document loader as req.loader
 const validateFileType = (req, res, next) => {
   if (!req.file) return next();
   
-  if (!allowedFileTypes.includes(req.file.mimetype)) {
-    return res.status(400).json({ error: 'Invalid file type. Only PDF files are allowed.' });
+  const loader = getLoader({ mimetype: req.file.mimetype, filename: req.file.originalname });
+  if (!loader) {
+    return res.status(400).json({ 
+      error: `Invalid file type. Supported types: ${getSupportedExtensions().join(', ')}`
+    });
   }
+  
+  req.loader = loader;
   next();
 };
 
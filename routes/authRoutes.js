@@ -0,0 +1,162 @@
+const express = require('express');
+const {
+  registerUser,
+  loginUser,
+  getUser,
+  describeUser,
+  listWorkspaces,
+  issueAccessToken,
+  listAccessTokens,
+  revokeAccessToken,
+  setProviderKey,
+  deleteProviderKey
+} = require('../services/identityService');
+const { claimLegacyDocuments } = require('../services/documentService');
+const { claimLegacySessions } = require('../services/sessionService');
+const { hashApiKey } = require('../utils/ownership');
+const { requireUser, requireRole } = require('../middleware/authenticate');
+
+const router = express.Router();
+
+// Map identity errors to an HTTP status and response body
+const sendIdentityError = (res, error, fallback) => {
+  switch (error.code) {
+    case 'INVALID_ACCOUNT_DETAILS':
+    case 'INVALID_TOKEN_OPTIONS':
+    case 'UNKNOWN_KEY_PROVIDER':
+      return res.status(400).json({ error: error.message, code: error.code });
+    case 'INVALID_CREDENTIALS':
+      return res.status(401).json({ error: error.message, code: error.code });
+    case 'REGISTRATION_DISABLED':
+      return res.status(403).json({ error: error.message, code: error.code });
+    case 'TOKEN_NOT_FOUND':
+      return res.status(404).json({ error: 'Token not found', code: error.code, details: error.message });
+    case 'USERNAME_TAKEN':
+      return res.status(409).json({ error: error.message, code: error.code });
+    case 'KEY_VAULT_UNAVAILABLE':
+      return res.status(503).json({ error: 'Provider keys cannot be stored on this server', code: error.code, details: error.message });
+    default:
+      console.error(`${fallback}:`, error);
+      return res.status(500).json({
+        error: fallback,
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+  }
+};
+
+// Create an account with a personal workspace, and return its first access token
+router.post('/register', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const result = await registerUser({ username, password });
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    sendIdentityError(res, error, 'Failed to register user');
+  }
+});
+
+// Exchange a username and password for a new access token
+router.post('/login', async (req, res) => {
+  try {
+    const { username, password, tokenName, expiresInDays } = req.body || {};
+    const result = await loginUser({ username, password, tokenName, expiresInDays });
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    sendIdentityError(res, error, 'Failed to log in');
+  }
+});
+
+// The signed-in user, their workspaces and the workspace this request acts in
+router.get('/me', requireUser, async (req, res) => {
+  try {
+    const user = await getUser(req.caller.userId);
+    res.status(200).json({
+      success: true,
+      user: describeUser(user),
+      workspaceId: req.caller.workspaceId,
+      workspaces: await listWorkspaces(req.caller.userId)
+    });
+  } catch (error) {
+    sendIdentityError(res, error, 'Failed to get user');
+  }
+});
+
+// List the user's access tokens
+router.get('/tokens', requireUser, async (req, res) => {
+  try {
+    res.status(200).json({ success: true, tokens: await listAccessTokens(req.caller.userId) });
+  } catch (error) {
+    sendIdentityError(res, error, 'Failed to list tokens');
+  }
+});
+
+// Issue another access token, e.g. one per client; the token is only shown in this response
+router.post('/tokens', requireUser, async (req, res) => {
+  try {
+    const { name, expiresInDays } = req.body || {};
+    const token = await issueAccessToken(req.caller.userId, { name, expiresInDays });
+    res.status(201).json({ success: true, token });
+  } catch (error) {
+    sendIdentityError(res, error, 'Failed to issue token');
+  }
+});
+
+// Revoke an access token
+router.delete('/tokens/:tokenId', requireUser, async (req, res) => {
+  try {
+    res.status(200).json(await revokeAccessToken(req.caller.userId, req.params.tokenId));
+  } catch (error) {
+    sendIdentityError(res, error, 'Failed to revoke token');
+  }
+});
+
+// Store a provider key in the user's vault; it is used whenever a request sends no x-api-key
+router.put('/keys/:provider', requireUser, async (req, res) => {
+  try {
+    const { apiKey } = req.body || {};
+    const user = await setProviderKey(req.caller.userId, req.params.provider, apiKey);
+    res.status(200).json({ success: true, user });
+  } catch (error) {
+    sendIdentityError(res, error, 'Failed to store provider key');
+  }
+});
+
+// Remove a provider key from the user's vault
+router.delete('/keys/:provider', requireUser, async (req, res) => {
+  try {
+    const user = await deleteProviderKey(req.caller.userId, req.params.provider);
+    res.status(200).json({ success: true, user });
+  } catch (error) {
+    sendIdentityError(res, error, 'Failed to remove provider key');
+  }
+});
+
+// Move documents and sessions owned by a Google key (sent in x-api-key) into the
+// workspace this request acts in. Holding the key is what proved ownership before
+// user accounts, so it is what proves it here.
+router.post('/claim', requireUser, requireRole('editor'), async (req, res) => {
+  try {
+    const apiKey = req.headers['x-api-key'];
+    if (!apiKey) {
+      return res.status(400).json({
+        error: 'Send the Google API key the documents were uploaded with in x-api-key',
+        code: 'API_KEY_MISSING'
+      });
+    }
+
+    const apiKeyHash = hashApiKey(apiKey);
+    const documentIds = await claimLegacyDocuments(apiKeyHash, req.caller);
+    const sessionCount = await claimLegacySessions(apiKeyHash, req.caller);
+    res.status(200).json({
+      success: true,
+      workspaceId: req.caller.workspaceId,
+      documentIds,
+      documentCount: documentIds.length,
+      sessionCount
+    });
+  } catch (error) {
+    sendIdentityError(res, error, 'Failed to claim documents');
+  }
+});
+
+module.exports = router;
@@ -1,59 +1,416 @@
 const express = require('express');
-const { generateResponse } = require('../services/chatService');
+const { generateResponse, streamResponse } = require('../services/chatService');
+const { createSession, getSession, listSessions, deleteSession, appendTurn, getRecentHistory } = require('../services/sessionService');
+const { getCollectionDocumentIds } = require('../services/documentService');
+const { resolveGenerationOptions } = require('../utils/llmProviders');
+const { resolveRetrievalOptions } = require('../services/retrievalService');
+const { resolveGroundingMode } = require('../utils/grounding');
+const { authorizeDocuments } = require('../services/accessService');
+const { describeAccessError } = require('../middleware/documentAccess');
+const { authenticate } = require('../middleware/authenticate');
 
 const router = express.Router();
 
-// Check for API key middleware
-const checkApiKey = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'];
+// Maximum number of documents a single query can search
+const MAX_DOCUMENTS_PER_QUERY = 20;
+
+// Interval for SSE comment lines that keep idle connections open through proxies
+const SSE_KEEPALIVE_MS = 15000;
+
+const invalidSelector = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_DOCUMENT_SELECTOR';
+  return error;
+};
+
+// Read which documents a request targets: a documentId, a documentIds array or a collectionId
+function readDocumentSelector(body) {
+  const { documentId, documentIds, collectionId } = body;
+  const provided = [documentId, documentIds, collectionId].filter(value => value !== undefined && value !== null);
   
-  if (!apiKey) {
-    return res.status(401).json({ 
-      error: 'API key is required',
-      code: 'API_KEY_MISSING'
-    });
+  if (provided.length === 0) {
+    return null;
+  }
+  if (provided.length > 1) {
+    throw invalidSelector('Specify only one of documentId, documentIds or collectionId');
+  }
+  
+  if (collectionId !== undefined && collectionId !== null) {
+    if (typeof collectionId !== 'string' || !collectionId) {
+      throw invalidSelector('collectionId must be a non-empty string');
+    }
+    return { documentIds: null, collectionId };
+  }
+  
+  if (documentIds !== undefined && documentIds !== null) {
+    if (!Array.isArray(documentIds) || documentIds.length === 0 || !documentIds.every(id => typeof id === 'string' && id)) {
+      throw invalidSelector('documentIds must be a non-empty array of document IDs');
+    }
+    if (documentIds.length > MAX_DOCUMENTS_PER_QUERY) {
+      throw invalidSelector(`At most ${MAX_DOCUMENTS_PER_QUERY} documents can be queried at once`);
+    }
+    return { documentIds: Array.from(new Set(documentIds)), collectionId: null };
+  }
+  
+  if (typeof documentId !== 'string' || !documentId) {
+    throw invalidSelector('documentId must be a non-empty string');
+  }
+  return { documentIds: [documentId], collectionId: null };
+}
+
+// Check whether two document selectors target the same documents
+function sameSelector(a, b) {
+  if (a.collectionId || b.collectionId) {
+    return a.collectionId === b.collectionId;
+  }
+  return a.documentIds.length === b.documentIds.length && a.documentIds.every(id => b.documentIds.includes(id));
+}
+
+// Resolve the session (if any) and target documents of a chat request
+async function resolveChatTarget(body, caller) {
+  let selector = readDocumentSelector(body);
+  
+  // Follow-up queries in a session inherit the session's documents
+  let session = null;
+  if (body.sessionId) {
+    session = await getSession(body.sessionId, caller);
+    const sessionSelector = { documentIds: session.documentIds, collectionId: session.collectionId };
+    
+    if (selector && !sameSelector(selector, sessionSelector)) {
+      const error = new Error('Documents do not match the session documents');
+      error.code = 'SESSION_DOCUMENT_MISMATCH';
+      throw error;
+    }
+    selector = sessionSelector;
+  }
+  
+  if (!selector) {
+    const error = new Error('Document ID is required');
+    error.code = 'DOCUMENT_ID_MISSING';
+    throw error;
   }
   
-  next();
+  // Collections are resolved on every query so newly added documents are included
+  const documentIds = selector.collectionId
+    ? await getCollectionDocumentIds(selector.collectionId, caller)
+    : selector.documentIds;
+  
+  if (documentIds.length === 0) {
+    const error = new Error(`No documents found in collection ${selector.collectionId}`);
+    error.code = 'DOCUMENT_NOT_FOUND';
+    throw error;
+  }
+  
+  return { session, documentIds };
+}
+
+// Read the optional generation settings of a chat request; limits are enforced by resolveGenerationOptions
+function readGenerationOptions(body) {
+  const { llmProvider, llmModel, temperature, topP, maxOutputTokens } = body;
+  return resolveGenerationOptions({ provider: llmProvider, model: llmModel, temperature, topP, maxOutputTokens });
+}
+
+// Read the optional retrieval settings of a chat request; limits are enforced by resolveRetrievalOptions
+function readRetrievalOptions(body) {
+  const { retrievalMode, topK, minScore, contextTokens, rerank, mmr, mmrLambda } = body;
+  return resolveRetrievalOptions({ mode: retrievalMode, topK, minScore, contextTokens, rerank, mmr, mmrLambda });
+}
+
+// Map chat errors to an HTTP status and response body
+function describeChatError(error) {
+  switch (error.code) {
+    case 'DOCUMENT_ID_MISSING':
+    case 'INVALID_DOCUMENT_SELECTOR':
+    case 'SESSION_DOCUMENT_MISMATCH':
+    case 'INVALID_GENERATION_OPTIONS':
+    case 'INVALID_RETRIEVAL_OPTIONS':
+    case 'INVALID_GROUNDING_MODE':
+      return { status: 400, body: { error: error.message, code: error.code } };
+    case 'SESSION_NOT_FOUND':
+      return { status: 404, body: { error: 'Session not found', code: error.code, details: error.message } };
+    case 'DOCUMENT_NOT_FOUND':
+    case 'DOCUMENT_ACCESS_DENIED':
+      return describeAccessError(error);
+    case 'EMBEDDING_MISMATCH':
+      return { status: 409, body: { error: error.message, code: error.code } };
+    case 'API_KEY_MISSING':
+      return { status: 401, body: { error: 'API key is required', code: error.code } };
+    default:
+      return {
+        status: 500,
+        body: {
+          error: 'Failed to generate response',
+          code: error.code,
+          details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        }
+      };
+  }
+}
+
+// Write a single Server-Sent Event
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 };
 
+// Stream a chat response as Server-Sent Events:
+//   token - { text } for each generated fragment
+//   done  - { documentIds, answerable, confidence, grounding, sources, citations, usage, generation, sessionId }
+//           once the answer is complete
+//   error - { error, code } if generation fails
+async function handleStreamQuery(req, res) {
+  const { query } = req.body;
+  const { caller } = req;
+  
+  if (!query) {
+    return res.status(400).json({ error: 'Query is required' });
+  }
+  
+  // Validation errors are still plain JSON responses, before the stream starts
+  let target;
+  let generation;
+  let retrieval;
+  let grounding;
+  try {
+    generation = readGenerationOptions(req.body);
+    retrieval = readRetrievalOptions(req.body);
+    grounding = resolveGroundingMode(req.body.grounding);
+    target = await resolveChatTarget(req.body, caller);
+  } catch (error) {
+    const { status, body } = describeChatError(error);
+    return res.status(status).json(body);
+  }
+  const { session, documentIds } = target;
+  
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  // Cancel retrieval and generation when the client disconnects
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SSE_KEEPALIVE_MS);
+  
+  try {
+    const history = session ? getRecentHistory(session) : [];
+    const result = await streamResponse(query, documentIds, caller, {
+      history,
+      generation,
+      retrieval,
+      grounding,
+      signal: controller.signal,
+      onToken: (text) => writeEvent(res, 'token', { text })
+    });
+    
+    if (session) {
+      await appendTurn(session.sessionId, caller, {
+        query,
+        standaloneQuery: result.standaloneQuery,
+        response: result.text
+      });
+    }
+    
+    writeEvent(res, 'done', {
+      documentIds,
+      answerable: result.answerable,
+      confidence: result.confidence,
+      grounding: result.grounding,
+      sources: result.sources,
+      citations: result.citations,
+      usage: result.usage,
+      generation: result.generation,
+      sessionId: session ? session.sessionId : undefined
+    });
+  } catch (error) {
+    if (error.code !== 'REQUEST_CANCELLED') {
+      const { body } = describeChatError(error);
+      writeEvent(res, 'error', body);
+    }
+  } finally {
+    clearInterval(keepAlive);
+    res.end();
+  }
+}
+
 // Generate chat response
-router.post('/query', checkApiKey, async (req, res) => {
+router.post('/query', authenticate, async (req, res) => {
+  // Clients that accept an event stream get the streaming variant
+  if ((req.headers.accept || '').includes('text/event-stream')) {
+    return handleStreamQuery(req, res);
+  }
+  
   try {
-    const { query, documentId } = req.body;
-    const apiKey = req.headers['x-api-key'];
+    const { query } = req.body;
+    const { caller } = req;
     
     if (!query) {
       return res.status(400).json({ error: 'Query is required' });
     }
     
-    if (!documentId) {
+    const generation = readGenerationOptions(req.body);
+    const retrieval = readRetrievalOptions(req.body);
+    const grounding = resolveGroundingMode(req.body.grounding);
+    const { session, documentIds } = await resolveChatTarget(req.body, caller);
+    
+    const history = session ? getRecentHistory(session) : [];
+    const result = await generateResponse(query, documentIds, caller, { history, generation, retrieval, grounding });
+    
+    if (session) {
+      await appendTurn(session.sessionId, caller, {
+        query,
+        standaloneQuery: result.standaloneQuery,
+        response: result.text
+      });
+    }
+    
+    res.status(200).json({ 
+      success: true, 
+      response: result.text,
+      answerable: result.answerable,
+      confidence: result.confidence,
+      grounding: result.grounding,
+      documentIds,
+      sources: result.sources,
+      citations: result.citations,
+      usage: result.usage,
+      generation: result.generation,
+      sessionId: session ? session.sessionId : undefined
+    });
+  } catch (error) {
+    const { status, body } = describeChatError(error);
+    res.status(status).json(body);
+  }
+});
+
+// Stream chat response over Server-Sent Events
+router.post('/stream', authenticate, handleStreamQuery);
+
+// Create a conversation session for one or more documents, or a collection
+router.post('/sessions', authenticate, async (req, res) => {
+  try {
+    const { title } = req.body;
+    const { caller } = req;
+    
+    const selector = readDocumentSelector(req.body);
+    if (!selector) {
       return res.status(400).json({ error: 'Document ID is required' });
     }
     
-    const response = await generateResponse(query, documentId, apiKey);
+    // Sessions can only be bound to the caller's documents; collections are resolved per query
+    if (selector.documentIds) {
+      await authorizeDocuments(selector.documentIds, caller);
+    }
+    
+    const session = await createSession(selector, caller, { title });
+    
+    res.status(201).json({ 
+      success: true, 
+      sessionId: session.sessionId,
+      documentIds: session.documentIds,
+      collectionId: session.collectionId,
+      createdAt: session.createdAt
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_DOCUMENT_SELECTOR') {
+      return res.status(400).json({ 
+        error: error.message,
+        code: error.code
+      });
+    }
+    
+    const accessError = describeAccessError(error);
+    if (accessError) {
+      return res.status(accessError.status).json(accessError.body);
+    }
+    
+    console.error('Error creating session:', error);
+    res.status(500).json({ 
+      error: 'Failed to create session',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// List conversation sessions, optionally filtered by document
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const { caller } = req;
+    const sessions = await listSessions(caller, { documentId: req.query.documentId });
+    
+    res.status(200).json({ 
+      success: true, 
+      sessions: sessions
+    });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).json({ 
+      error: 'Failed to list sessions',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Get a session with its full history
+router.get('/sessions/:sessionId', authenticate, async (req, res) => {
+  try {
+    const { caller } = req;
+    const session = await getSession(req.params.sessionId, caller);
     
     res.status(200).json({ 
       success: true, 
-      response: response
+      session: {
+        sessionId: session.sessionId,
+        documentIds: session.documentIds,
+        collectionId: session.collectionId,
+        title: session.title,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt,
+        turns: session.turns
+      }
     });
   } catch (error) {
-    if (error.code === 'DOCUMENT_NOT_FOUND') {
+    if (error.code === 'SESSION_NOT_FOUND') {
       return res.status(404).json({ 
-        error: 'Document not found',
+        error: 'Session not found',
         details: error.message
       });
     }
     
-    if (error.code === 'API_KEY_MISSING') {
-      return res.status(401).json({ 
-        error: 'API key is required',
-        code: 'API_KEY_MISSING'
+    console.error('Error getting session:', error);
+    res.status(500).json({ 
+      error: 'Failed to get session',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Delete a session and its history
+router.delete('/sessions/:sessionId', authenticate, async (req, res) => {
+  try {
+    const { caller } = req;
+    const result = await deleteSession(req.params.sessionId, caller);
+    
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.code === 'SESSION_NOT_FOUND') {
+      return res.status(404).json({ 
+        error: 'Session not found',
+        details: error.message
       });
     }
     
+    console.error('Error deleting session:', error);
     res.status(500).json({ 
-      error: 'Failed to generate response',
+      error: 'Failed to delete session',
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
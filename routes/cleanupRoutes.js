@@ -1,76 +1,179 @@
 const express = require('express');
 const { cleanupVectorDb, listVectorDbFiles, deleteVectorDbFile } = require('../services/cleanupService');
+const {
+  listAdminKeys,
+  createAdminKey,
+  revokeAdminKey,
+  recordAdminAction,
+  startAdminAction,
+  finishAdminAction,
+  listAdminActions
+} = require('../services/adminService');
+const { requireAdmin } = require('../middleware/adminAuth');
 
 const router = express.Router();
 
-// Admin middleware - only allow from localhost or with admin key
-const adminOnly = (req, res, next) => {
-  const clientIp = req.ip || req.connection.remoteAddress;
-  const isLocalhost = clientIp === '127.0.0.1' || clientIp === '::1' || clientIp.includes('::ffff:127.0.0.1');
-  
-  if (isLocalhost || process.env.NODE_ENV === 'development') {
-    return next();
+// Every route here is an admin route
+router.use(requireAdmin);
+
+// Record a read-only admin action; the response is only sent once the entry is stored
+const recordRead = (req, action, details = null) => recordAdminAction({ admin: req.admin.name, action, details, ip: req.ip });
+
+// Run an admin action that changes state between a "started" and a final audit entry.
+// Nothing runs unless the first entry is stored, and success is only reported once
+// the second one is. run resolves with { result, outcome, details }.
+const runAudited = async (req, action, target, run) => {
+  const started = await startAdminAction({ admin: req.admin.name, action, target, ip: req.ip });
+  let completed;
+  try {
+    completed = await run();
+  } catch (error) {
+    // The started entry already records the attempt if this write fails too
+    await finishAdminAction(started, { outcome: 'failure', details: { error: error.message, code: error.code } })
+      .catch(() => {});
+    throw error;
   }
-  
-  const adminKey = req.headers['x-admin-key'];
-  if (adminKey && adminKey === process.env.ADMIN_KEY) {
-    return next();
+  await finishAdminAction(started, { outcome: completed.outcome || 'success', details: completed.details || null });
+  return completed.result;
+};
+
+// Map admin errors to an HTTP status and response body
+const sendAdminError = (res, error, fallback) => {
+  switch (error.code) {
+    case 'INVALID_AUDIT_OPTIONS':
+    case 'INVALID_ADMIN_KEY_NAME':
+      return res.status(400).json({ error: error.message, code: error.code });
+    case 'ADMIN_KEY_NOT_FOUND':
+      return res.status(404).json({ error: error.message, code: error.code });
+    case 'ADMIN_KEY_EXISTS':
+      return res.status(409).json({ error: error.message, code: error.code });
+    case 'AUDIT_WRITE_FAILED':
+      return res.status(503).json({ error: error.message, code: error.code });
+    default:
+      console.error(`${fallback}:`, error);
+      return res.status(500).json({
+        error: fallback,
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
   }
-  
-  return res.status(403).json({ error: 'Unauthorized access' });
 };
 
 // Run cleanup
-router.post('/run', adminOnly, async (req, res) => {
+router.post('/run', async (req, res) => {
   try {
-    const result = await cleanupVectorDb();
+    const result = await runAudited(req, 'cleanup.run', null, async () => {
+      const cleanup = await cleanupVectorDb();
+      return {
+        result: cleanup,
+        details: { deletedCount: cleanup.deletedCount, deletedDocs: cleanup.deletedDocs, failedDocs: cleanup.failedDocs }
+      };
+    });
     res.status(200).json(result);
   } catch (error) {
-    res.status(500).json({ 
-      error: 'Failed to run cleanup',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    sendAdminError(res, error, 'Failed to run cleanup');
   }
 });
 
 // List all vector DB files
-router.get('/list', adminOnly, async (req, res) => {
+router.get('/list', async (req, res) => {
   try {
     const files = await listVectorDbFiles();
-    res.status(200).json({ 
-      success: true, 
+    await recordRead(req, 'files.list', { count: files.length });
+    res.status(200).json({
+      success: true,
       files: files
     });
   } catch (error) {
-    res.status(500).json({ 
-      error: 'Failed to list files',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    sendAdminError(res, error, 'Failed to list files');
+  }
+});
+
+// Read the audit log, newest first, e.g. ?action=document.delete&since=2024-01-01&limit=50&cursor=...
+router.get('/audit', async (req, res) => {
+  try {
+    const { action, admin, since, until, limit, cursor } = req.query;
+    const result = await listAdminActions({ action, admin, since, until, limit, cursor });
+    await recordRead(req, 'audit.read', { action, admin, since, until });
+    res.status(200).json({
+      success: true,
+      entries: result.entries,
+      nextCursor: result.nextCursor
+    });
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to read audit log');
+  }
+});
+
+// List admin keys, without the keys themselves
+router.get('/keys', async (req, res) => {
+  try {
+    const keys = await listAdminKeys();
+    await recordRead(req, 'key.list', { count: keys.length });
+    res.status(200).json({
+      success: true,
+      keys: keys
+    });
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to list admin keys');
+  }
+});
+
+// Issue a named admin key; the key is only shown in this response
+router.post('/keys', async (req, res) => {
+  const { name } = req.body || {};
+  try {
+    const key = await runAudited(req, 'key.create', typeof name === 'string' ? name : null, async () => ({
+      result: await createAdminKey(name, req.admin.name)
+    }));
+    res.status(201).json({
+      success: true,
+      key: key
     });
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to create admin key');
+  }
+});
+
+// Revoke an admin key by name
+router.delete('/keys/:name', async (req, res) => {
+  try {
+    const result = await runAudited(req, 'key.revoke', req.params.name, async () => {
+      const revoked = await revokeAdminKey(req.params.name, req.admin.name);
+      return { result: revoked, details: { source: revoked.source } };
+    });
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to revoke admin key');
   }
 });
 
 // Delete specific vector DB file
-router.delete('/:documentId', adminOnly, async (req, res) => {
+router.delete('/:documentId', async (req, res) => {
   try {
     const { documentId } = req.params;
-    
+
     if (!documentId) {
       return res.status(400).json({ error: 'Document ID is required' });
     }
-    
-    const result = await deleteVectorDbFile(documentId);
-    
+
+    const result = await runAudited(req, 'document.delete', documentId, async () => {
+      const deleted = await deleteVectorDbFile(documentId);
+      return deleted.success
+        ? { result: deleted }
+        : { result: deleted, outcome: 'failure', details: { error: deleted.message } };
+    });
+
     if (!result.success) {
       return res.status(404).json({ error: result.message });
     }
-    
+
     res.status(200).json(result);
   } catch (error) {
-    res.status(500).json({ 
-      error: 'Failed to delete file',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    sendAdminError(res, error, 'Failed to delete file');
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -3,29 +3,38 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
-const { processDocument, deleteDocument, getUploadedFiles, checkDuplicateFile, recordDocumentAccess } = require('../services/documentService');
+const { processDocument, deleteDocument, getUploadedFiles, resolveListOptions, checkDuplicateFile, computeContentHash, resolveReplaceTarget, recordDocumentAccess, getDocumentMetadata, updateDocumentMetadata, getSuggestedQuestions, describeDocument, getDocumentChunks } = require('../services/documentService');
+const { enqueueIngestion, getJob, listJobs, cancelJob } = require('../services/jobService');
 const { validateFileType, validateUrl } = require('../middleware/security');
+const { authenticate, requireRole, describeAuthError } = require('../middleware/authenticate');
+const { requireDocumentAccess, requireDocumentRole } = require('../middleware/documentAccess');
+const { authorizeWorkspace } = require('../services/identityService');
+const { resolveSplitterOptions } = require('../utils/textSplitter');
+const { getLoader, getSupportedExtensions } = require('../utils/documentLoaders');
+const { getAllowedEmbeddingProviders, getLocalDimension, getOpenAIDimension } = require('../utils/embeddingProviders');
+const { resolveGenerationOptions } = require('../utils/llmProviders');
+const { summarizeDocument } = require('../services/summaryService');
+const { extractStructuredData } = require('../services/extractionService');
+const { resolveSuggestQuestions } = require('../services/suggestionService');
+const { searchChunks } = require('../services/chatService');
+const { resolveRetrievalOptions } = require('../services/retrievalService');
 
 const router = express.Router();
 
-// Create upload directory if it doesn't exist
-const createUploadDir = () => {
-  const uploadDir = path.join(os.tmpdir(), 'uploads');
-  if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true });
-  }
-  return uploadDir;
-};
+const MAX_COLLECTION_ID_LENGTH = 100;
+const MAX_EMBEDDING_MODEL_LENGTH = 200;
+const DEFAULT_CHUNK_PAGE_SIZE = 20;
+const MAX_CHUNK_PAGE_SIZE = 100;
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage(); // Use memory storage for all environments for simplicity
 
+// Only accept files that a registered document loader can read
 const fileFilter = (req, file, cb) => {
-  console.log('Multer fileFilter - File:', file.originalname, 'Mimetype:', file.mimetype);
-  if (file.mimetype === 'application/pdf') {
+  if (getLoader({ mimetype: file.mimetype, filename: file.originalname })) {
     cb(null, true);
   } else {
-    cb(new Error('Invalid file type. Only PDF files are allowed.'), false);
+    cb(new Error(`Invalid file type. Supported types: ${getSupportedExtensions().join(', ')}`), false);
   }
 };
 
@@ -52,27 +61,127 @@ const handleErrors = (err, req, res, next) => {
   next(err);
 };
 
-// Check for API key middleware
-const checkApiKey = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'];
-  
-  if (!apiKey) {
-    return res.status(401).json({ 
-      error: 'API key is required',
-      code: 'API_KEY_MISSING'
+// Validate ingestion options (chunking and collection) from form fields or JSON body
+const parseIngestOptions = (req, res, next) => {
+  const body = req.body || {};
+  try {
+    const splitter = resolveSplitterOptions({
+      strategy: body.chunkStrategy || (req.loader && req.loader.defaultChunkStrategy),
+      chunkSize: body.chunkSize,
+      chunkOverlap: body.chunkOverlap
+    });
+    
+    const collectionId = body.collectionId || null;
+    if (collectionId !== null && (typeof collectionId !== 'string' || collectionId.length > MAX_COLLECTION_ID_LENGTH)) {
+      return res.status(400).json({ 
+        error: `collectionId must be a string of at most ${MAX_COLLECTION_ID_LENGTH} characters`
+      });
+    }
+    
+    // Embedding provider and model default to EMBEDDING_PROVIDER and its configured model
+    const embedding = {};
+    if (body.embeddingProvider) {
+      const allowedProviders = getAllowedEmbeddingProviders();
+      if (!allowedProviders.includes(body.embeddingProvider)) {
+        return res.status(400).json({ 
+          error: `embeddingProvider must be one of: ${allowedProviders.join(', ')}`
+        });
+      }
+      embedding.provider = body.embeddingProvider;
+    }
+    if (body.embeddingModel) {
+      if (typeof body.embeddingModel !== 'string' || body.embeddingModel.length > MAX_EMBEDDING_MODEL_LENGTH) {
+        return res.status(400).json({ 
+          error: `embeddingModel must be a string of at most ${MAX_EMBEDDING_MODEL_LENGTH} characters`
+        });
+      }
+      embedding.model = body.embeddingModel;
+      // The dimension of the model must be known up front: local models name one of
+      // the allowed sizes, OpenAI-compatible ones must be configured or well-known
+      const providerName = embedding.provider || process.env.EMBEDDING_PROVIDER || 'gemini';
+      if (providerName === 'local') {
+        getLocalDimension(embedding.model);
+      } else if (providerName === 'openai') {
+        getOpenAIDimension(embedding.model);
+      }
+    }
+    
+    // Suggested starter questions cost one extra model call, so they are opt-in
+    const suggestQuestions = resolveSuggestQuestions(body.suggestQuestions);
+    
+    req.ingestOptions = { splitter, collectionId, embedding, suggestQuestions };
+    next();
+  } catch (error) {
+    return res.status(400).json({ 
+      error: error.message,
+      code: error.code
+    });
+  }
+};
+
+// Boolean flags arrive as strings in form fields and query parameters
+const isTruthy = (value) => value === true || value === 'true';
+
+// Background jobs need a long-lived process: serverless platforms such as Vercel freeze
+// work once the response is sent and don't share the in-memory job list between
+// invocations, so there (or with BACKGROUND_JOBS=false) everything runs in the request
+const backgroundJobsAvailable = () => !process.env.VERCEL && process.env.BACKGROUND_JOBS !== 'false';
+
+// Uploads are processed in a background job unless the client asks to wait (e.g. ?wait=true)
+// or background jobs aren't available
+const wantsSyncProcessing = (req) => {
+  if (!backgroundJobsAvailable()) return true;
+  return isTruthy(req.query.wait !== undefined ? req.query.wait : (req.body || {}).wait);
+};
+
+// Describe the outcome of processing a document
+const describeResult = (result, label) => {
+  if (result.isDuplicate) return `${label} already exists`;
+  if (result.replaced) return `${label} replaced successfully`;
+  return `${label} processed successfully`;
+};
+
+// Write an in-memory upload to a temp file for processing
+const writeTempFile = (file) => {
+  const tempFilePath = path.join(os.tmpdir(), `${Date.now()}-${file.originalname}`);
+  fs.writeFileSync(tempFilePath, file.buffer);
+  return tempFilePath;
+};
+
+// Remove a temp file if processing left it behind
+const removeTempFile = (filePath) => {
+  if (filePath && fs.existsSync(filePath)) {
+    try {
+      fs.unlinkSync(filePath);
+    } catch (err) {
+      console.error('Error cleaning up temp file:', err);
+    }
+  }
+};
+
+// Response for a document accepted for background processing
+const sendJobAccepted = (res, job) => {
+  res.status(202).json({ 
+    success: true, 
+    jobId: job.jobId,
+    status: job.status,
+    statusUrl: `/api/documents/jobs/${job.jobId}`,
+    message: 'Document accepted for processing'
+  });
+};
+
+// Only allow PDFs on the legacy PDF endpoint
+const requirePdf = (req, res, next) => {
+  if (req.loader && req.loader.type !== 'pdf') {
+    return res.status(400).json({ 
+      error: 'Invalid file type. Only PDF files are allowed. Use /api/documents/upload for other file types.'
     });
   }
-  
   next();
 };
 
-// Upload PDF document
-router.post('/upload-pdf', 
-  (req, res, next) => {
-    console.log('Request received:', req.headers['content-type']);
-    console.log('Request body type:', typeof req.body);
-    next();
-  },
+// Middleware that receives a multipart upload in the given form field
+const receiveFile = (fieldName) => [
   (req, res, next) => {
     // Check if the content type is correct for file uploads
     const contentType = req.headers['content-type'] || '';
@@ -84,9 +193,8 @@ router.post('/upload-pdf',
     }
     next();
   },
-  upload.single('pdf'),
+  upload.single(fieldName),
   (req, res, next) => {
-    console.log('After multer:', req.file ? `File received: ${req.file.originalname}, size: ${req.file.size}` : 'No file');
     if (!req.file) {
       return res.status(400).json({ 
         error: 'No file received',
@@ -96,105 +204,182 @@ router.post('/upload-pdf',
     next();
   },
   handleErrors,
-  validateFileType,
-  checkApiKey,
-  async (req, res) => {
-    try {
-      if (!req.file) {
-        return res.status(400).json({ error: 'No file uploaded' });
-      }
+  validateFileType
+];
 
-      const apiKey = req.headers['x-api-key'];
-      const originalFilename = req.file.originalname;
-      const existingDocId = await checkDuplicateFile(originalFilename, apiKey);
+// Process an uploaded file with the loader chosen by validateFileType
+const handleFileUpload = async (req, res) => {
+  const label = req.loader ? req.loader.label : 'File';
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const { caller } = req;
+    const originalFilename = req.file.originalname;
+    const type = req.loader.type;
+    const contentHash = computeContentHash(req.file.buffer || fs.readFileSync(req.file.path));
+    
+    // replace=true re-ingests a changed file under the ID of the document it replaces
+    const replaceDocumentId = isTruthy(req.body.replace)
+      ? await resolveReplaceTarget(req.body.documentId, originalFilename, caller)
+      : null;
+    const existingDocId = replaceDocumentId ? null : await checkDuplicateFile(contentHash, caller);
+    const processOptions = { ...req.ingestOptions, contentHash, replaceDocumentId };
+    
+    let result;
+    
+    if (existingDocId) {
+      // File already exists
+      const existingMetadata = await getDocumentMetadata(existingDocId);
+      result = { documentId: existingDocId, isDuplicate: true, replaced: false, suggestedQuestions: getSuggestedQuestions(existingMetadata) };
       
-      let documentId;
-      let isDuplicate = false;
+      // Record access for the existing document
+      await recordDocumentAccess(existingDocId);
       
-      if (existingDocId) {
-        // File already exists
-        documentId = existingDocId;
-        isDuplicate = true;
-        
-        // Record access for the existing document
-        await recordDocumentAccess(existingDocId);
+      // Clean up if using disk storage
+      if (req.file.path && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
+    } else if (!wantsSyncProcessing(req)) {
+      // Process in the background and let the client poll the job
+      const filePath = req.file.buffer ? writeTempFile(req.file) : req.file.path;
+      const job = enqueueIngestion(caller, {
+        description: originalFilename,
+        run: async ({ signal, report }) => {
+          const jobResult = await processDocument(filePath, type, caller, { ...processOptions, signal, onProgress: report });
+          return { ...jobResult, type, message: describeResult(jobResult, label) };
+        },
+        cleanup: () => removeTempFile(filePath)
+      });
+      return sendJobAccepted(res, job);
+    } else {
+      // Process the new file - handle both memory and disk storage
+      if (req.file.buffer) {
+        // Memory storage (Vercel production)
+        // Create a temporary file from the buffer
+        const tempDir = os.tmpdir();
+        const tempFilePath = path.join(tempDir, `${Date.now()}-${originalFilename}`);
         
-        // Clean up if using disk storage
-        if (req.file.path && fs.existsSync(req.file.path)) {
-          fs.unlinkSync(req.file.path);
-        }
-      } else {
-        // Process the new file - handle both memory and disk storage
-        if (req.file.buffer) {
-          // Memory storage (Vercel production)
-          // Create a temporary file from the buffer
-          const tempDir = os.tmpdir();
-          const tempFilePath = path.join(tempDir, `${Date.now()}-${originalFilename}`);
+        try {
+          // Write buffer to temp file
+          fs.writeFileSync(tempFilePath, req.file.buffer);
+          // Process the temp file
+          result = await processDocument(tempFilePath, type, caller, processOptions);
           
-          try {
-            // Write buffer to temp file
-            fs.writeFileSync(tempFilePath, req.file.buffer);
-            // Process the temp file
-            documentId = await processDocument(tempFilePath, 'pdf', apiKey);
-            
-            // Clean up temp file after processing
-            if (fs.existsSync(tempFilePath)) {
-              try {
-                fs.unlinkSync(tempFilePath);
-              } catch (cleanupErr) {
-                console.error('Error cleaning up temp file:', cleanupErr);
-              }
+          // Clean up temp file after processing
+          if (fs.existsSync(tempFilePath)) {
+            try {
+              fs.unlinkSync(tempFilePath);
+            } catch (cleanupErr) {
+              console.error('Error cleaning up temp file:', cleanupErr);
             }
-          } catch (err) {
-            console.error('Error processing buffer:', err);
-            // Clean up temp file in case of error
-            if (fs.existsSync(tempFilePath)) {
-              try {
-                fs.unlinkSync(tempFilePath);
-              } catch (cleanupErr) {
-                console.error('Error cleaning up temp file after error:', cleanupErr);
-              }
+          }
+        } catch (err) {
+          console.error('Error processing buffer:', err);
+          // Clean up temp file in case of error
+          if (fs.existsSync(tempFilePath)) {
+            try {
+              fs.unlinkSync(tempFilePath);
+            } catch (cleanupErr) {
+              console.error('Error cleaning up temp file after error:', cleanupErr);
             }
-            throw err;
           }
-        } else {
-          // Disk storage (development)
-          documentId = await processDocument(req.file.path, 'pdf', apiKey);
+          throw err;
         }
+      } else {
+        // Disk storage (development)
+        result = await processDocument(req.file.path, type, caller, processOptions);
       }
-      
-      res.status(200).json({ 
-        success: true, 
-        documentId,
-        isDuplicate: isDuplicate,
-        message: isDuplicate ? 'File already exists' : 'PDF processed successfully'
-      });
-    } catch (error) {
-      console.error('Error processing PDF:', error);
-      // Clean up uploaded file in case of processing error
-      if (req.file) {
-        if (req.file.path && fs.existsSync(req.file.path)) {
-          fs.unlink(req.file.path, (err) => {
-            if (err) console.error('Error deleting failed upload:', err);
-          });
-        }
+    }
+    
+    res.status(200).json({ 
+      success: true, 
+      documentId: result.documentId,
+      type,
+      isDuplicate: result.isDuplicate,
+      replaced: result.replaced,
+      suggestedQuestions: result.suggestedQuestions,
+      message: result.isDuplicate ? 'File already exists' : describeResult(result, label)
+    });
+  } catch (error) {
+    console.error(`Error processing ${label}:`, error);
+    // Clean up uploaded file in case of processing error
+    if (req.file) {
+      if (req.file.path && fs.existsSync(req.file.path)) {
+        fs.unlink(req.file.path, (err) => {
+          if (err) console.error('Error deleting failed upload:', err);
+        });
       }
-      res.status(500).json({ 
-        error: 'Failed to process PDF',
-        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }
+    
+    if (error.code === 'JOB_QUEUE_FULL') {
+      return res.status(503).json({ 
+        error: error.message,
+        code: error.code
       });
     }
-});
+    
+    if (error.code === 'DOCUMENT_NOT_FOUND') {
+      return res.status(404).json({ 
+        error: 'Document not found',
+        details: error.message
+      });
+    }
+    
+    if (error.code === 'EMPTY_CONTENT') {
+      return res.status(422).json({ 
+        error: 'No text could be extracted from the file',
+        code: error.code
+      });
+    }
+    
+    res.status(500).json({ 
+      error: `Failed to process ${label}`,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Upload PDF document
+router.post('/upload-pdf', 
+  ...receiveFile('pdf'),
+  requirePdf,
+  authenticate,
+  requireRole('editor'),
+  parseIngestOptions,
+  handleFileUpload
+);
+
+// Upload any supported document (PDF, DOCX, TXT, Markdown, HTML, CSV)
+router.post('/upload', 
+  ...receiveFile('file'),
+  authenticate,
+  requireRole('editor'),
+  parseIngestOptions,
+  handleFileUpload
+);
+
+// HTTP status for each error fetching a URL
+const URL_FETCH_ERROR_STATUSES = {
+  INVALID_URL: 400,
+  BLOCKED_HOST: 400,
+  TOO_LARGE: 413,
+  NON_HTML: 415,
+  ROBOTS_DISALLOWED: 422,
+  TOO_MANY_REDIRECTS: 422,
+  EMPTY_CONTENT: 422,
+  FETCH_FAILED: 502,
+  FETCH_TIMEOUT: 504
+};
 
 // Process URL content
 router.post('/process-url',
   express.json(),
-  (req, res, next) => {
-    console.log('URL processing request body:', req.body);
-    next();
-  },
   validateUrl,
-  checkApiKey,
+  authenticate,
+  requireRole('editor'),
+  parseIngestOptions,
   async (req, res) => {
     try {
       const { url } = req.body;
@@ -203,34 +388,60 @@ router.post('/process-url',
         return res.status(400).json({ error: 'URL is required' });
       }
 
-      const apiKey = req.headers['x-api-key'];
+      const { caller } = req;
       
-      // Check if this URL already exists before processing
-      const existingDocId = await checkDuplicateFile(url, apiKey);
+      // Duplicates are detected from the page text, which is only known after fetching
+      const replaceDocumentId = isTruthy(req.body.replace)
+        ? await resolveReplaceTarget(req.body.documentId, url, caller)
+        : null;
+      const processOptions = { ...req.ingestOptions, replaceDocumentId };
       
-      let documentId;
-      let isDuplicate = false;
-      
-      if (existingDocId) {
-        // URL already exists
-        documentId = existingDocId;
-        isDuplicate = true;
-        
-        // Record access for the existing document
-        await recordDocumentAccess(existingDocId);
-      } else {
-        // Process the new URL
-        documentId = await processDocument(url, 'url', apiKey);
+      if (!wantsSyncProcessing(req)) {
+        // Process in the background and let the client poll the job
+        const job = enqueueIngestion(caller, {
+          description: url,
+          run: async ({ signal, report }) => {
+            const jobResult = await processDocument(url, 'url', caller, { ...processOptions, signal, onProgress: report });
+            return { ...jobResult, type: 'url', message: describeResult(jobResult, 'URL') };
+          }
+        });
+        return sendJobAccepted(res, job);
       }
       
+      const result = await processDocument(url, 'url', caller, processOptions);
+      
       res.status(200).json({ 
         success: true, 
-        documentId: documentId,
-        isDuplicate: isDuplicate,
-        message: isDuplicate ? 'URL already exists' : 'URL processed successfully' 
+        documentId: result.documentId,
+        isDuplicate: result.isDuplicate,
+        replaced: result.replaced,
+        suggestedQuestions: result.suggestedQuestions,
+        message: describeResult(result, 'URL')
       });
     } catch (error) {
       console.error('Error processing URL:', error);
+      
+      if (error.code === 'JOB_QUEUE_FULL') {
+        return res.status(503).json({ 
+          error: error.message,
+          code: error.code
+        });
+      }
+      
+      if (error.code === 'DOCUMENT_NOT_FOUND') {
+        return res.status(404).json({ 
+          error: 'Document not found',
+          details: error.message
+        });
+      }
+      
+      if (URL_FETCH_ERROR_STATUSES[error.code]) {
+        return res.status(URL_FETCH_ERROR_STATUSES[error.code]).json({ 
+          error: error.message,
+          code: error.code
+        });
+      }
+      
       res.status(500).json({ 
         error: 'Failed to process URL',
         details: process.env.NODE_ENV === 'development' ? error.message : undefined
@@ -238,9 +449,88 @@ router.post('/process-url',
     }
 });
 
+// List the caller's recent ingestion jobs
+router.get('/jobs',
+  authenticate,
+  async (req, res) => {
+    try {
+      const { caller } = req;
+      const jobs = await listJobs(caller);
+      
+      res.status(200).json({ 
+        success: true, 
+        jobs: jobs
+      });
+    } catch (error) {
+      console.error('Error listing jobs:', error);
+      res.status(500).json({ 
+        error: 'Failed to list jobs',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+});
+
+// Get the stage, progress and result of an ingestion job
+router.get('/jobs/:jobId',
+  authenticate,
+  async (req, res) => {
+    try {
+      const { caller } = req;
+      const job = await getJob(req.params.jobId, caller);
+      
+      res.status(200).json({ 
+        success: true, 
+        job: job
+      });
+    } catch (error) {
+      if (error.code === 'JOB_NOT_FOUND') {
+        return res.status(404).json({ 
+          error: 'Job not found',
+          details: error.message
+        });
+      }
+      
+      console.error('Error getting job:', error);
+      res.status(500).json({ 
+        error: 'Failed to get job',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+});
+
+// Cancel a queued or running ingestion job
+router.delete('/jobs/:jobId',
+  authenticate,
+  requireRole('editor'),
+  async (req, res) => {
+    try {
+      const { caller } = req;
+      const job = await cancelJob(req.params.jobId, caller);
+      
+      res.status(200).json({ 
+        success: true, 
+        job: job
+      });
+    } catch (error) {
+      if (error.code === 'JOB_NOT_FOUND') {
+        return res.status(404).json({ 
+          error: 'Job not found',
+          details: error.message
+        });
+      }
+      
+      console.error('Error cancelling job:', error);
+      res.status(500).json({ 
+        error: 'Failed to cancel job',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+});
+
 // Delete document endpoint
 router.delete('/:documentId',
-  checkApiKey,
+  authenticate,
+  requireDocumentRole('editor'),
   async (req, res) => {
     try {
       const { documentId } = req.params;
@@ -272,19 +562,194 @@ router.delete('/:documentId',
     }
 });
 
-// Get list of uploaded files
+// Move a document to another workspace; the caller must be an editor in both
+router.post('/:documentId/move',
+  express.json(),
+  authenticate,
+  requireDocumentRole('editor'),
+  async (req, res) => {
+    try {
+      const { caller } = req;
+      const { workspaceId } = req.body || {};
+      
+      if (!caller.userId) {
+        return res.status(401).json({ 
+          error: 'An access token is required to move documents between workspaces',
+          code: 'AUTH_REQUIRED'
+        });
+      }
+      if (!workspaceId) {
+        return res.status(400).json({ error: 'workspaceId is required' });
+      }
+      
+      const workspace = await authorizeWorkspace(workspaceId, caller.userId, 'editor');
+      
+      // Chunks are keyed by document ID, so only the metadata changes hands
+      await updateDocumentMetadata(req.params.documentId, { workspaceId: workspace.workspaceId });
+      
+      res.status(200).json({ 
+        success: true, 
+        documentId: req.params.documentId,
+        fromWorkspaceId: req.document.workspaceId,
+        workspaceId: workspace.workspaceId
+      });
+    } catch (error) {
+      const described = describeAuthError(error);
+      if (described) {
+        return res.status(described.status).json(described.body);
+      }
+      
+      console.error('Error moving document:', error);
+      res.status(500).json({ 
+        error: 'Failed to move document',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+});
+
+// Get the suggested starter questions generated when the document was ingested
+router.get('/:documentId/suggestions',
+  authenticate,
+  requireDocumentAccess,
+  async (req, res) => {
+    try {
+      res.status(200).json({ 
+        success: true, 
+        documentId: req.params.documentId,
+        suggestedQuestions: getSuggestedQuestions(req.document)
+      });
+    } catch (error) {
+      console.error('Error getting suggested questions:', error);
+      res.status(500).json({ 
+        error: 'Failed to get suggested questions',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+});
+
+const wantsSummaryRefresh = (body) => Boolean(body) && (body.refresh === true || body.refresh === 'true');
+
+// Summarize a whole document; summaries are cached per style until the document is replaced.
+// Refreshing rewrites the cached summary in the document's metadata, so it needs the editor role
+router.post('/:documentId/summary',
+  express.json(),
+  authenticate,
+  (req, res, next) => requireDocumentRole(wantsSummaryRefresh(req.body) ? 'editor' : 'viewer')(req, res, next),
+  async (req, res) => {
+    try {
+      const { caller } = req;
+      const { style, llmProvider, llmModel, temperature, topP, maxOutputTokens } = req.body || {};
+      
+      const generation = resolveGenerationOptions({ provider: llmProvider, model: llmModel, temperature, topP, maxOutputTokens });
+      const result = await summarizeDocument(req.params.documentId, caller, {
+        style,
+        generation,
+        refresh: wantsSummaryRefresh(req.body)
+      });
+      
+      res.status(200).json({ 
+        success: true, 
+        ...result
+      });
+    } catch (error) {
+      switch (error.code) {
+        case 'INVALID_SUMMARY_OPTIONS':
+        case 'INVALID_GENERATION_OPTIONS':
+          return res.status(400).json({ error: error.message, code: error.code });
+        case 'API_KEY_MISSING':
+          return res.status(401).json({ error: 'API key is required', code: error.code });
+        case 'DOCUMENT_NOT_FOUND':
+          return res.status(404).json({ error: 'Document not found', code: error.code, details: error.message });
+        case 'DOCUMENT_ACCESS_DENIED':
+        case 'INSUFFICIENT_ROLE':
+          return res.status(403).json({ error: error.message, code: error.code });
+        case 'DOCUMENT_EMPTY':
+          return res.status(422).json({ error: error.message, code: error.code });
+      }
+      
+      console.error('Error summarizing document:', error);
+      res.status(500).json({ 
+        error: 'Failed to summarize document',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+});
+
+// Extract the fields of a JSON Schema from a document, with the chunk each value came from
+router.post('/:documentId/extract',
+  express.json(),
+  authenticate,
+  requireDocumentAccess,
+  async (req, res) => {
+    try {
+      const { caller } = req;
+      const { schema, llmProvider, llmModel, temperature, topP, maxOutputTokens } = req.body || {};
+      const { retrievalMode, topK, minScore, contextTokens, rerank, mmr, mmrLambda } = req.body || {};
+      
+      if (!schema) {
+        return res.status(400).json({ error: 'schema is required' });
+      }
+      
+      // Extraction defaults to deterministic output unless the caller asks otherwise
+      const generation = resolveGenerationOptions({
+        provider: llmProvider,
+        model: llmModel,
+        temperature: temperature === undefined ? 0 : temperature,
+        topP,
+        maxOutputTokens
+      });
+      const retrieval = resolveRetrievalOptions({ mode: retrievalMode, topK, minScore, contextTokens, rerank, mmr, mmrLambda });
+      const result = await extractStructuredData(req.params.documentId, schema, caller, { generation, retrieval });
+      
+      res.status(200).json({ 
+        success: true, 
+        ...result
+      });
+    } catch (error) {
+      switch (error.code) {
+        case 'INVALID_SCHEMA':
+        case 'INVALID_GENERATION_OPTIONS':
+        case 'INVALID_RETRIEVAL_OPTIONS':
+          return res.status(400).json({ error: error.message, code: error.code });
+        case 'API_KEY_MISSING':
+          return res.status(401).json({ error: 'API key is required', code: error.code });
+        case 'DOCUMENT_NOT_FOUND':
+          return res.status(404).json({ error: 'Document not found', code: error.code, details: error.message });
+        case 'EXTRACTION_FAILED':
+          return res.status(502).json({ error: error.message, code: error.code });
+      }
+      
+      console.error('Error extracting from document:', error);
+      res.status(500).json({ 
+        error: 'Failed to extract from document',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+});
+
+// Get a page of uploaded files, e.g. ?sort=name&search=invoice&limit=20&cursor=...
 router.get('/list',
-  checkApiKey,
+  authenticate,
   async (req, res) => {
     try {
-      const apiKey = req.headers['x-api-key'];
-      const result = await getUploadedFiles(apiKey);
+      const { caller } = req;
+      const { cursor, limit, sort, order, search } = req.query;
+      const result = await getUploadedFiles(caller, resolveListOptions({ cursor, limit, sort, order, search }));
       
       res.status(200).json({ 
         success: true, 
-        files: result.files
+        files: result.files,
+        total: result.total,
+        nextCursor: result.nextCursor
       });
     } catch (error) {
+      if (error.code === 'INVALID_LIST_OPTIONS') {
+        return res.status(400).json({ 
+          error: error.message,
+          code: error.code
+        });
+      }
+      
       console.error('Error listing files:', error);
       
       res.status(500).json({ 
@@ -294,4 +759,96 @@ router.get('/list',
     }
 });
 
+// Get a document's full metadata
+router.get('/:documentId',
+  authenticate,
+  requireDocumentAccess,
+  async (req, res) => {
+    try {
+      res.status(200).json({ 
+        success: true, 
+        document: describeDocument(req.document)
+      });
+    } catch (error) {
+      console.error('Error getting document:', error);
+      res.status(500).json({ 
+        error: 'Failed to get document',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+});
+
+// Page through a document's chunks in order, e.g. ?offset=20&limit=20
+router.get('/:documentId/chunks',
+  authenticate,
+  requireDocumentAccess,
+  async (req, res) => {
+    try {
+      const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+      const limit = req.query.limit === undefined ? DEFAULT_CHUNK_PAGE_SIZE : Number(req.query.limit);
+      if (!Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ error: 'offset must be a non-negative integer' });
+      }
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_CHUNK_PAGE_SIZE) {
+        return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_CHUNK_PAGE_SIZE}` });
+      }
+      
+      const result = await getDocumentChunks(req.document, { offset, limit });
+      
+      res.status(200).json({ 
+        success: true, 
+        documentId: req.params.documentId,
+        offset,
+        limit,
+        ...result
+      });
+    } catch (error) {
+      console.error('Error getting document chunks:', error);
+      res.status(500).json({ 
+        error: 'Failed to get document chunks',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+});
+
+// Find the chunks of a document that match a query, without generating an answer
+router.post('/:documentId/search',
+  express.json(),
+  authenticate,
+  requireDocumentAccess,
+  async (req, res) => {
+    try {
+      const { caller } = req;
+      const { query, retrievalMode, topK, minScore, contextTokens, rerank, mmr, mmrLambda } = req.body || {};
+      
+      if (!query) {
+        return res.status(400).json({ error: 'Query is required' });
+      }
+      
+      const retrieval = resolveRetrievalOptions({ mode: retrievalMode, topK, minScore, contextTokens, rerank, mmr, mmrLambda });
+      const result = await searchChunks(query, req.params.documentId, caller, { retrieval });
+      
+      res.status(200).json({ 
+        success: true, 
+        documentId: req.params.documentId,
+        ...result
+      });
+    } catch (error) {
+      switch (error.code) {
+        case 'INVALID_RETRIEVAL_OPTIONS':
+          return res.status(400).json({ error: error.message, code: error.code });
+        case 'API_KEY_MISSING':
+          return res.status(401).json({ error: 'API key is required', code: error.code });
+        case 'DOCUMENT_NOT_FOUND':
+          return res.status(404).json({ error: 'Document not found', code: error.code, details: error.message });
+      }
+      
+      console.error('Error searching document:', error);
+      res.status(500).json({ 
+        error: 'Failed to search document',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
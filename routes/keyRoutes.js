@@ -1,11 +1,22 @@
 const express = require('express');
 const router = express.Router();
-const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { getLlmProvider, resolveGenerationOptions, CALLER_KEY_PROVIDERS } = require('../utils/llmProviders');
 
 // Verify API key
 router.post('/verify', async (req, res) => {
   try {
-    const { apiKey } = req.body;
+    const { apiKey, provider, model } = req.body;
+    
+    let generation;
+    try {
+      // Keys are Gemini keys unless another provider is named, whatever LLM_PROVIDER is
+      generation = resolveGenerationOptions({ provider: provider || 'gemini', model });
+    } catch (error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
     
     if (!apiKey) {
       return res.status(400).json({ 
@@ -14,13 +25,21 @@ router.post('/verify', async (req, res) => {
       });
     }
     
-    // Verify the API key with Google's API
+    // This route is unauthenticated, so only keys the caller brings are checked, and only
+    // against their own provider; providers running on server credentials are never called
+    if (!CALLER_KEY_PROVIDERS.includes(generation.provider)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Only keys for these providers can be verified: ${CALLER_KEY_PROVIDERS.join(', ')}` 
+      });
+    }
+    
+    // Verify the API key with the provider's API
     try {
-      const genAI = new GoogleGenerativeAI(apiKey);
-      const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+      const llm = getLlmProvider({ provider: generation.provider, model: generation.model, apiKey });
       
       // Make a simple request to verify the key
-      await model.generateContent("Hello");
+      await llm.generate("Hello", { temperature: 0, topP: 1, maxOutputTokens: 8 });
       
       res.status(200).json({ 
         success: true, 
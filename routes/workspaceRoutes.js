@@ -0,0 +1,123 @@
+const express = require('express');
+const {
+  createWorkspace,
+  listWorkspaces,
+  describeWorkspace,
+  authorizeWorkspace,
+  updateWorkspace,
+  addWorkspaceMember,
+  updateWorkspaceMember,
+  removeWorkspaceMember
+} = require('../services/identityService');
+const { requireUser, describeAuthError } = require('../middleware/authenticate');
+
+const router = express.Router();
+
+// Every workspace route acts for a signed-in user
+router.use(requireUser);
+
+// Map workspace errors to an HTTP status and response body
+const sendWorkspaceError = (res, error, fallback) => {
+  const described = describeAuthError(error);
+  if (described) {
+    return res.status(described.status).json(described.body);
+  }
+  switch (error.code) {
+    case 'INVALID_WORKSPACE_DETAILS':
+      return res.status(400).json({ error: error.message, code: error.code });
+    case 'USER_NOT_FOUND':
+    case 'MEMBER_NOT_FOUND':
+      return res.status(404).json({ error: error.message, code: error.code });
+    case 'MEMBER_EXISTS':
+    case 'LAST_OWNER':
+    case 'DEFAULT_WORKSPACE':
+      return res.status(409).json({ error: error.message, code: error.code });
+    default:
+      console.error(`${fallback}:`, error);
+      return res.status(500).json({
+        error: fallback,
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+  }
+};
+
+// List the workspaces the caller belongs to, with their role in each
+router.get('/', async (req, res) => {
+  try {
+    res.status(200).json({ success: true, workspaces: await listWorkspaces(req.caller.userId) });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to list workspaces');
+  }
+});
+
+// Create a workspace with the caller as its owner
+router.post('/', async (req, res) => {
+  try {
+    const { name } = req.body || {};
+    const workspace = await createWorkspace(req.caller.userId, { name });
+    res.status(201).json({ success: true, workspace: await describeWorkspace(workspace, req.caller.userId) });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to create workspace');
+  }
+});
+
+// Get a workspace and its members
+router.get('/:workspaceId', async (req, res) => {
+  try {
+    const workspace = await authorizeWorkspace(req.params.workspaceId, req.caller.userId);
+    res.status(200).json({ success: true, workspace: await describeWorkspace(workspace, req.caller.userId) });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to get workspace');
+  }
+});
+
+// Rename a workspace (owners only)
+router.put('/:workspaceId', async (req, res) => {
+  try {
+    const workspace = await authorizeWorkspace(req.params.workspaceId, req.caller.userId, 'owner');
+    const updated = await updateWorkspace(workspace, { name: (req.body || {}).name });
+    res.status(200).json({ success: true, workspace: await describeWorkspace(updated, req.caller.userId) });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to update workspace');
+  }
+});
+
+// Add a member by username, as viewer unless another role is given (owners only)
+router.post('/:workspaceId/members', async (req, res) => {
+  try {
+    const { username, role } = req.body || {};
+    const workspace = await authorizeWorkspace(req.params.workspaceId, req.caller.userId, 'owner');
+    const updated = await addWorkspaceMember(workspace, { username, role });
+    res.status(201).json({ success: true, workspace: await describeWorkspace(updated, req.caller.userId) });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to add member');
+  }
+});
+
+// Change a member's role (owners only)
+router.put('/:workspaceId/members/:userId', async (req, res) => {
+  try {
+    const workspace = await authorizeWorkspace(req.params.workspaceId, req.caller.userId, 'owner');
+    const updated = await updateWorkspaceMember(workspace, req.params.userId, (req.body || {}).role);
+    res.status(200).json({ success: true, workspace: await describeWorkspace(updated, req.caller.userId) });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to update member');
+  }
+});
+
+// Remove a member (owners only), or leave a workspace by removing yourself
+router.delete('/:workspaceId/members/:userId', async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.caller.userId;
+    const workspace = await authorizeWorkspace(req.params.workspaceId, req.caller.userId, leaving ? 'viewer' : 'owner');
+    const updated = await removeWorkspaceMember(workspace, req.params.userId);
+    res.status(200).json({
+      success: true,
+      workspace: leaving ? null : await describeWorkspace(updated, req.caller.userId)
+    });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to remove member');
+  }
+});
+
+module.exports = router;
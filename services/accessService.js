@@ -0,0 +1,64 @@
+const { isOwnedBy, hasRole } = require('../utils/ownership');
+const { getDocumentMetadata } = require('./documentService');
+
+/**
+ * Document authorization. Every route and service that acts on a document by
+ * ID resolves it through here, so ownership rules live in one place.
+ */
+
+/**
+ * Whether the caller owns a document, through its workspace or, for documents
+ * not yet claimed by a workspace, its API key
+ * @param {Object} metadata - Document metadata payload
+ * @param {Object} caller - Request caller (req.caller)
+ * @returns {boolean}
+ */
+function canAccessDocument(metadata, caller) {
+  return isOwnedBy(metadata, caller);
+}
+
+/**
+ * Resolve a document the caller is allowed to use
+ * @param {string} documentId - Document ID
+ * @param {Object} caller - Request caller (req.caller)
+ * @param {string} [role] - Least workspace role required, 'viewer' to read and chat
+ *   (default) or 'editor' to change the document
+ * @returns {Promise<Object>} Document metadata payload
+ * @throws DOCUMENT_NOT_FOUND if the document doesn't exist, DOCUMENT_ACCESS_DENIED if it belongs
+ *   to someone else, INSUFFICIENT_ROLE if the caller's workspace role is too low
+ */
+async function authorizeDocument(documentId, caller, role = 'viewer') {
+  const metadata = await getDocumentMetadata(documentId);
+  if (!metadata) {
+    const error = new Error(`Document ${documentId} not found`);
+    error.code = 'DOCUMENT_NOT_FOUND';
+    throw error;
+  }
+  if (!canAccessDocument(metadata, caller)) {
+    const error = new Error(`Access to document ${documentId} is not allowed`);
+    error.code = 'DOCUMENT_ACCESS_DENIED';
+    throw error;
+  }
+  if (!hasRole(caller, role)) {
+    const error = new Error(`This requires the ${role} role in the document's workspace`);
+    error.code = 'INSUFFICIENT_ROLE';
+    throw error;
+  }
+  return metadata;
+}
+
+/**
+ * Resolve several documents the caller is allowed to use; fails if any of them isn't
+ * @param {string[]} documentIds - Document IDs
+ * @param {Object} caller - Request caller (req.caller)
+ * @returns {Promise<Object[]>} Metadata payloads, in the order of documentIds
+ */
+function authorizeDocuments(documentIds, caller) {
+  return Promise.all(documentIds.map(documentId => authorizeDocument(documentId, caller)));
+}
+
+module.exports = {
+  canAccessDocument,
+  authorizeDocument,
+  authorizeDocuments
+};
@@ -0,0 +1,384 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { getVectorStore, scrollAll, DEFAULT_VECTOR_SIZE } = require('../utils/vectorStore');
+require('dotenv').config();
+
+/**
+ * Admin keys and the admin audit log. Keys come from the environment
+ * (ADMIN_KEYS as "name:key" pairs, and ADMIN_KEY under the name "default") or
+ * are issued at runtime and stored as hashes. Any key can be revoked by name;
+ * a revocation is stored against the key's hash, so a rotated environment key
+ * under the same name works again. Audit entries are only ever appended, and
+ * admin actions fail rather than run without an entry.
+ */
+
+const ADMIN_KEY_COLLECTION = 'admin_keys';
+const AUDIT_COLLECTION = 'admin_audit';
+
+const ADMIN_KEY_PREFIX = 'pcba_';
+const KEY_NAME_PATTERN = /^[a-zA-Z0-9_.-]{1,64}$/;
+
+const DEFAULT_AUDIT_LIMIT = 100;
+const MAX_AUDIT_LIMIT = 500;
+
+// Rejected keys come from unauthenticated clients, so each address gets at most one
+// key.rejected entry per window; later attempts in the window are counted into its
+// next entry. Past MAX_TRACKED_ADDRESSES, new addresses are only logged to the console.
+const REJECTED_KEY_WINDOW_MS = 10 * 60 * 1000;
+const MAX_TRACKED_ADDRESSES = 1000;
+
+// Rejection windows by address: { since, repeats }
+const rejectedKeyWindows = new Map();
+
+// Qdrant only accepts unsigned integers or UUIDs as point IDs; key records are stored
+// under a UUID made from 128 bits of the key hash, so two keys never share a point
+const toPointId = (keyHash) => `${keyHash.substring(0, 8)}-${keyHash.substring(8, 12)}-${keyHash.substring(12, 16)}-${keyHash.substring(16, 20)}-${keyHash.substring(20, 32)}`;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest();
+
+const adminError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Keys configured in the environment, as { name, keyHash }
+function getEnvironmentKeys() {
+  const keys = [];
+  if (process.env.ADMIN_KEY) {
+    keys.push({ name: 'default', key: process.env.ADMIN_KEY });
+  }
+  for (const entry of (process.env.ADMIN_KEYS || '').split(',')) {
+    const separator = entry.indexOf(':');
+    if (separator > 0 && separator < entry.length - 1) {
+      keys.push({ name: entry.substring(0, separator).trim(), key: entry.substring(separator + 1).trim() });
+    }
+  }
+  return keys.map(({ name, key }) => ({ name, keyHash: hashKey(key) }));
+}
+
+async function loadKeyRecords() {
+  await getVectorStore().ensureCollection(ADMIN_KEY_COLLECTION);
+  const points = await scrollAll(ADMIN_KEY_COLLECTION);
+  return points.map(point => point.payload);
+}
+
+/**
+ * Identify the admin a presented key belongs to. Key hashes are compared with
+ * timingSafeEqual against every candidate, so response times don't reveal how
+ * much of a key matched or which key was tried.
+ * @param {string} key - Value of the x-admin-key header
+ * @returns {Promise<Object|null>} { name, source } or null if the key is unknown or revoked
+ */
+async function verifyAdminKey(key) {
+  if (!key) return null;
+  const presented = hashKey(key);
+  const records = await loadKeyRecords();
+
+  let match = null;
+  const candidates = [
+    ...records.map(record => ({ name: record.name, source: record.source, keyHash: Buffer.from(record.keyHash, 'hex'), record })),
+    ...getEnvironmentKeys().map(entry => ({ ...entry, source: 'env', record: null }))
+  ];
+  for (const candidate of candidates) {
+    if (crypto.timingSafeEqual(candidate.keyHash, presented) && !match) {
+      match = candidate;
+    }
+  }
+  if (!match) return null;
+
+  // A stored record for the same hash is either the key itself or its revocation
+  const record = match.record || records.find(entry => entry.keyHash === presented.toString('hex'));
+  if (record && record.revokedAt) return null;
+  return { name: match.name, source: match.source };
+}
+
+/**
+ * Every admin key, active or revoked, without the keys themselves
+ * @returns {Promise<Object[]>} { name, source, createdAt, createdBy, revokedAt, revokedBy }
+ */
+async function listAdminKeys() {
+  const records = await loadKeyRecords();
+  const describe = ({ keyHash, ...details }) => details;
+  const revokedEnvironmentHashes = new Set(records.filter(record => record.source === 'env').map(record => record.keyHash));
+  const environmentKeys = getEnvironmentKeys()
+    .filter(entry => !revokedEnvironmentHashes.has(entry.keyHash.toString('hex')))
+    .map(entry => ({ name: entry.name, source: 'env', createdAt: null, createdBy: null, revokedAt: null, revokedBy: null }));
+  return [...environmentKeys, ...records.map(describe)];
+}
+
+// Names of keys that can still be used
+async function activeKeyNames() {
+  const keys = await listAdminKeys();
+  return new Set(keys.filter(key => !key.revokedAt).map(key => key.name));
+}
+
+/**
+ * Issue a new named admin key. Only its hash is stored, so the key is only
+ * returned here.
+ * @param {string} name - Unique name of the key, e.g. the person or system using it
+ * @param {string} createdBy - Name of the admin key issuing it
+ * @returns {Promise<Object>} { key, name, source, createdAt, createdBy }
+ * @throws INVALID_ADMIN_KEY_NAME, ADMIN_KEY_EXISTS if an active key has the name
+ */
+async function createAdminKey(name, createdBy) {
+  if (typeof name !== 'string' || !KEY_NAME_PATTERN.test(name)) {
+    throw adminError('INVALID_ADMIN_KEY_NAME', 'name must be 1 to 64 letters, digits, ".", "_" or "-"');
+  }
+  if ((await activeKeyNames()).has(name)) {
+    throw adminError('ADMIN_KEY_EXISTS', `An active admin key named ${name} already exists`);
+  }
+
+  const key = `${ADMIN_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const record = {
+    name,
+    source: 'stored',
+    keyHash: hashKey(key).toString('hex'),
+    createdAt: new Date().toISOString(),
+    createdBy,
+    revokedAt: null,
+    revokedBy: null
+  };
+  await getVectorStore().upsert(ADMIN_KEY_COLLECTION, {
+    points: [{ id: toPointId(record.keyHash), vector: new Array(DEFAULT_VECTOR_SIZE).fill(0), payload: record }]
+  });
+  const { keyHash, ...details } = record;
+  return { key, ...details };
+}
+
+/**
+ * Revoke the active admin key with a name, whether stored or from the environment
+ * @param {string} name - Key name
+ * @param {string} revokedBy - Name of the admin key revoking it
+ * @returns {Promise<Object>} { name, source, revokedAt }
+ * @throws ADMIN_KEY_NOT_FOUND if no active key has the name
+ */
+async function revokeAdminKey(name, revokedBy) {
+  const records = await loadKeyRecords();
+  const revokedAt = new Date().toISOString();
+
+  const stored = records.find(record => record.name === name && record.source === 'stored' && !record.revokedAt);
+  if (stored) {
+    await getVectorStore().setPayload(ADMIN_KEY_COLLECTION, {
+      payload: { revokedAt, revokedBy },
+      points: [toPointId(stored.keyHash)]
+    });
+    return { name, source: 'stored', revokedAt };
+  }
+
+  const revokedHashes = new Set(records.map(record => record.keyHash));
+  const environmentKey = getEnvironmentKeys()
+    .find(entry => entry.name === name && !revokedHashes.has(entry.keyHash.toString('hex')));
+  if (environmentKey) {
+    const keyHash = environmentKey.keyHash.toString('hex');
+    await getVectorStore().upsert(ADMIN_KEY_COLLECTION, {
+      points: [{
+        id: toPointId(keyHash),
+        vector: new Array(DEFAULT_VECTOR_SIZE).fill(0),
+        payload: { name, source: 'env', keyHash, createdAt: null, createdBy: null, revokedAt, revokedBy }
+      }]
+    });
+    return { name, source: 'env', revokedAt };
+  }
+
+  throw adminError('ADMIN_KEY_NOT_FOUND', `No active admin key named ${name}`);
+}
+
+// Append an entry to the audit log, failing if it can't be stored
+async function appendAuditEntry(entry) {
+  try {
+    await getVectorStore().ensureCollection(AUDIT_COLLECTION);
+    await getVectorStore().upsert(AUDIT_COLLECTION, {
+      points: [{ id: entry.auditId, vector: new Array(DEFAULT_VECTOR_SIZE).fill(0), payload: entry }]
+    });
+    return entry;
+  } catch (error) {
+    console.error('Error writing admin audit entry:', error, entry);
+    const wrappedError = adminError('AUDIT_WRITE_FAILED', 'The admin audit log could not be written');
+    wrappedError.originalError = error;
+    throw wrappedError;
+  }
+}
+
+/**
+ * Append a single entry to the admin audit log, for actions that are recorded once
+ * (reads and rejected keys). Callers must not report success if this throws.
+ * @param {Object} entry - { admin, action, target, outcome, details, ip }
+ * @returns {Promise<Object>} The stored entry
+ * @throws AUDIT_WRITE_FAILED
+ */
+async function recordAdminAction({ admin, action, target = null, outcome = 'success', details = null, ip = null }) {
+  const auditId = uuidv4();
+  return appendAuditEntry({
+    auditId,
+    actionId: auditId,
+    at: new Date().toISOString(),
+    admin,
+    action,
+    target,
+    outcome,
+    details,
+    ip
+  });
+}
+
+/**
+ * Record a request with an unknown or revoked admin key, combining repeats per address
+ * @param {Object} attempt - { method, path, ip }
+ * @returns {Promise<Object|null>} The stored entry, or null if the attempt was only counted
+ * @throws AUDIT_WRITE_FAILED
+ */
+async function recordRejectedKey({ method, path, ip = null }) {
+  const now = Date.now();
+  const current = rejectedKeyWindows.get(ip);
+  if (current && now - current.since < REJECTED_KEY_WINDOW_MS) {
+    current.repeats++;
+    return null;
+  }
+
+  for (const [address, window] of rejectedKeyWindows) {
+    if (now - window.since >= REJECTED_KEY_WINDOW_MS) rejectedKeyWindows.delete(address);
+  }
+  if (!current && rejectedKeyWindows.size >= MAX_TRACKED_ADDRESSES) {
+    return null;
+  }
+
+  rejectedKeyWindows.set(ip, { since: now, repeats: 0 });
+  return recordAdminAction({
+    admin: null,
+    action: 'key.rejected',
+    outcome: 'failure',
+    // Attempts from this address that were counted but not logged since its previous entry
+    details: { method, path, repeats: current ? current.repeats : 0 },
+    ip
+  });
+}
+
+/**
+ * Record that an admin action is about to run. Changes are only made once this
+ * entry is stored, so an action can never happen without a trace in the log.
+ * @param {Object} entry - { admin, action, target, ip }
+ * @returns {Promise<Object>} The stored "started" entry, to pass to finishAdminAction
+ * @throws AUDIT_WRITE_FAILED
+ */
+async function startAdminAction({ admin, action, target = null, ip = null }) {
+  return recordAdminAction({ admin, action, target, outcome: 'started', ip });
+}
+
+/**
+ * Record how a started admin action ended, as a new entry with the same actionId
+ * @param {Object} started - Entry returned by startAdminAction
+ * @param {Object} result - { outcome: 'success' | 'failure', details }
+ * @returns {Promise<Object>} The stored entry
+ * @throws AUDIT_WRITE_FAILED
+ */
+async function finishAdminAction(started, { outcome = 'success', details = null } = {}) {
+  // At least a millisecond after the started entry, so the pair always sorts in order
+  const at = new Date(Math.max(Date.now(), Date.parse(started.at) + 1)).toISOString();
+  return appendAuditEntry({
+    ...started,
+    auditId: uuidv4(),
+    at,
+    outcome,
+    details
+  });
+}
+
+const invalidAuditOptions = (message) => adminError('INVALID_AUDIT_OPTIONS', message);
+
+const encodeCursor = (at, auditId) => Buffer.from(JSON.stringify([at, auditId])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const [at, auditId] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof at === 'string' && typeof auditId === 'string') return { at, auditId };
+  } catch (error) {
+    // Reported below
+  }
+  throw invalidAuditOptions('cursor is invalid');
+};
+
+const readDate = (value, field) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw invalidAuditOptions(`${field} must be an ISO 8601 date`);
+  }
+  return date.toISOString();
+};
+
+/**
+ * Read the audit log, newest first
+ * @param {Object} [options] - { action, admin, since, until, limit, cursor } as query string values
+ * @returns {Promise<Object>} { entries, nextCursor }
+ * @throws INVALID_AUDIT_OPTIONS
+ */
+async function listAdminActions(options = {}) {
+  const limit = options.limit === undefined || options.limit === '' ? DEFAULT_AUDIT_LIMIT : Number(options.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_LIMIT) {
+    throw invalidAuditOptions(`limit must be an integer between 1 and ${MAX_AUDIT_LIMIT}`);
+  }
+  const since = readDate(options.since, 'since');
+  const until = readDate(options.until, 'until');
+  const cursor = options.cursor ? decodeCursor(String(options.cursor)) : null;
+
+  const must = [];
+  if (options.action) must.push({ key: 'action', match: { value: String(options.action) } });
+  if (options.admin) must.push({ key: 'admin', match: { value: String(options.admin) } });
+  if (since || until) {
+    must.push({ key: 'at', datetime_range: { ...(since && { gte: since }), ...(until && { lte: until }) } });
+  }
+
+  await getVectorStore().ensureCollection(AUDIT_COLLECTION);
+
+  // ISO timestamps sort as strings; the entry ID breaks ties within a millisecond
+  const newestFirst = (a, b) => (a.at !== b.at ? (a.at < b.at ? 1 : -1) : (a.auditId < b.auditId ? 1 : a.auditId > b.auditId ? -1 : 0));
+  const toFilter = (conditions) => (conditions.length > 0 ? { must: conditions } : undefined);
+  const readSameTime = async (at) => {
+    const points = await scrollAll(AUDIT_COLLECTION, {
+      filter: toFilter([...must, { key: 'at', datetime_range: { gte: at, lte: at } }])
+    });
+    return points.map(point => point.payload).sort(newestFirst);
+  };
+
+  // The store orders by the indexed timestamp; entries sharing the cursor's or the
+  // page's last timestamp are read whole and ordered by ID, so none is skipped or repeated
+  const entries = [];
+  if (cursor) {
+    entries.push(...(await readSameTime(cursor.at)).filter(entry => newestFirst(entry, cursor) > 0));
+  }
+  const wanted = limit + 1 - entries.length;
+  if (wanted > 0) {
+    const before = cursor ? [{ key: 'at', datetime_range: { lt: cursor.at } }] : [];
+    const page = await getVectorStore().scroll(AUDIT_COLLECTION, {
+      filter: toFilter([...must, ...before]),
+      limit: wanted,
+      order_by: { key: 'at', direction: 'desc' }
+    });
+    let fetched = page.points.map(point => point.payload);
+    if (fetched.length === wanted) {
+      const lastAt = fetched[fetched.length - 1].at;
+      fetched = [...fetched.filter(entry => entry.at !== lastAt), ...(await readSameTime(lastAt))];
+    }
+    entries.push(...fetched.sort(newestFirst));
+  }
+
+  const page = entries.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    entries: page,
+    nextCursor: entries.length > page.length ? encodeCursor(last.at, last.auditId) : null
+  };
+}
+
+module.exports = {
+  verifyAdminKey,
+  listAdminKeys,
+  createAdminKey,
+  revokeAdminKey,
+  recordAdminAction,
+  recordRejectedKey,
+  startAdminAction,
+  finishAdminAction,
+  listAdminActions
+};
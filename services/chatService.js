@@ -1,96 +1,284 @@
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-const { GoogleGenerativeAIEmbeddings } = require("@langchain/google-genai");
-const { qdrantClient, ensureCollection } = require('../utils/qdrantClient');
-const { recordDocumentAccess } = require('./documentService');
+const { getVectorStore } = require('../utils/vectorStore');
+const { getEmbeddingProvider, isSameEmbedding } = require('../utils/embeddingProviders');
+const { getLlmProvider, resolveGenerationOptions } = require('../utils/llmProviders');
+const { recordDocumentAccess, getDocumentEmbedding } = require('./documentService');
+const { authorizeDocuments } = require('./accessService');
+const { resolveRetrievalOptions, retrieveChunks, estimateConfidence } = require('./retrievalService');
+const { checkCitations } = require('../utils/citations');
+const { NOT_FOUND_MESSAGE, resolveGroundingMode, groundingInstructions, parseGroundedAnswer, createMarkerFilter } = require('../utils/grounding');
 require('dotenv').config();
 
-// Function to generate a response using Gemini AI and RAG
-async function generateResponse(query, documentId, apiKey) {
+// Maximum length of the text snippet returned with each source
+const SNIPPET_LENGTH = 300;
+
+// Number of chunks retrieved for a single document, and across several documents,
+// unless the caller sets topK
+const SINGLE_DOCUMENT_LIMIT = 3;
+const MULTI_DOCUMENT_LIMIT = 6;
+
+// Describe a retrieved chunk so users can check where an answer came from
+function toSource(result, index) {
+  const payload = result.payload || {};
+  const metadata = payload.metadata || {};
+  const text = payload.text || '';
+  const isUrl = typeof metadata.source === 'string' && /^https?:\/\//.test(metadata.source);
+  
+  return {
+    id: index + 1,
+    documentId: payload.documentId,
+    chunk: payload.chunk,
+    score: result.score,
+    retrievers: result.retrievers,
+    scores: result.scores,
+    reranked: result.reranked,
+    snippet: text.length > SNIPPET_LENGTH ? `${text.substring(0, SNIPPET_LENGTH)}...` : text,
+    originalFilename: metadata.originalFilename || (isUrl ? metadata.source : null),
+    url: isUrl ? metadata.source : null,
+    pageStart: payload.pageStart || null,
+    pageEnd: payload.pageEnd || null
+  };
+}
+
+// Format previous turns of a conversation for inclusion in a prompt
+function formatHistory(history) {
+  return history
+    .map(turn => `User: ${turn.query}\nAssistant: ${turn.response}`)
+    .join('\n\n');
+}
+
+// Rewrite a follow-up question into a standalone question for retrieval
+async function rewriteQuery(llm, query, history, signal) {
+  if (!history || history.length === 0) {
+    return query;
+  }
+
   try {
-    // Check if API key is available
-    if (!apiKey) {
-      const error = new Error('Google API key is not provided');
-      error.code = 'API_KEY_MISSING';
-      throw error;
-    }
+    const prompt = `
+    Given the following conversation and a follow-up question, rephrase the follow-up question
+    to be a standalone question that can be understood without the conversation.
+    Only return the rephrased question.
     
-    // Record document access for cleanup tracking
-    await recordDocumentAccess(documentId);
+    Conversation:
+    ${formatHistory(history)}
     
-    // Initialize embeddings
-    const embeddings = new GoogleGenerativeAIEmbeddings({
-      apiKey: apiKey,
-      modelName: "embedding-001"
-    });
+    Follow-up question: ${query}
     
-    // Generate embedding for the query
-    const queryEmbedding = await embeddings.embedQuery(query);
+    Standalone question:`;
+
+    const result = await llm.generate(prompt, { temperature: 0, topP: 1, maxOutputTokens: 256 }, { signal });
+    const rewritten = result.text.trim();
+    return rewritten || query;
+  } catch (error) {
+    // Retrieval still works with the raw question, just less precisely
+    console.error('Error rewriting follow-up query:', error);
+    return query;
+  }
+}
+
+// Throw if the caller has gone away, so no more upstream work is started
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    const error = new Error('Request was cancelled');
+    error.code = 'REQUEST_CANCELLED';
+    throw error;
+  }
+}
+
+// Resolve the selected documents, which the caller must be allowed to use, and the
+// embedding model and vector collection they share.
+// Vectors from different models aren't comparable, so mixed selections are refused.
+async function resolveQueryEmbedding(ids, caller) {
+  const metadataList = await authorizeDocuments(ids, caller);
+  const settings = metadataList.map((metadata, index) => ({
+    document: { documentId: ids[index], revision: metadata.revision },
+    ...getDocumentEmbedding(metadata)
+  }));
+  
+  const [first] = settings;
+  const mismatched = settings.find(setting => !isSameEmbedding(setting.embedding, first.embedding));
+  if (mismatched) {
+    const describe = ({ embedding }) => `${embedding.provider}/${embedding.model} (${embedding.dimension})`;
+    const error = new Error(`Selected documents were embedded with different models: ${describe(first)} and ${describe(mismatched)}. Query them separately.`);
+    error.code = 'EMBEDDING_MISMATCH';
+    throw error;
+  }
+  return {
+    documents: settings.map(setting => setting.document),
+    embedding: first.embedding,
+    vectorCollection: first.vectorCollection
+  };
+}
+
+// Retrieve context for a query and build the prompt shared by blocking and streaming responses
+// documentIds - a single document ID or an array of document IDs to search
+async function prepareGeneration(query, documentIds, caller, options = {}) {
+  const ids = Array.isArray(documentIds) ? documentIds : [documentIds];
+  const limit = ids.length > 1 ? MULTI_DOCUMENT_LIMIT : SINGLE_DOCUMENT_LIMIT;
+  
+  // The query must be embedded with the same model as the documents
+  const { documents, embedding, vectorCollection } = await resolveQueryEmbedding(ids, caller);
+  
+  // Record document access for cleanup tracking
+  await Promise.all(ids.map(id => recordDocumentAccess(id)));
+  const retrieval = options.retrieval || resolveRetrievalOptions();
+  const embeddings = retrieval.mode === 'keyword'
+    ? null
+    : getEmbeddingProvider({ provider: embedding.provider, model: embedding.model, apiKey: caller.apiKey });
+  
+  const history = options.history || [];
+  const generation = options.generation || resolveGenerationOptions();
+  const llm = getLlmProvider({ provider: generation.provider, model: generation.model, apiKey: caller.apiKey });
+  
+  // Resolve follow-up questions against the conversation before searching
+  const standaloneQuery = await rewriteQuery(llm, query, history, options.signal);
+  throwIfAborted(options.signal);
+  
+  // Search for relevant chunks with the requested retrievers
+  await getVectorStore().ensureCollection(vectorCollection, { size: embedding.dimension });
+  const searchResults = await retrieveChunks(standaloneQuery, {
+    documents,
+    vectorCollection,
+    embeddings,
+    llm,
+    retrieval,
+    limit,
+    signal: options.signal
+  });
+  throwIfAborted(options.signal);
+  
+  const grounding = options.grounding || resolveGroundingMode();
+  const confidence = estimateConfidence(searchResults);
+  const sources = searchResults.map(toSource);
+  
+  // In strict mode there is nothing to answer from, so the model isn't called at all
+  if (searchResults.length === 0 && grounding === 'strict') {
+    return { llm, params: generation.params, prompt: null, standaloneQuery, sources, grounding, confidence };
+  }
+  
+  // Number each chunk so the model can cite it inline, and label which document it came from
+  const context = searchResults
+    .map((result, index) => {
+      const documentName = sources[index].originalFilename || sources[index].documentId;
+      return `[${index + 1}] (Document: ${documentName})\n    ${result.payload.text}`;
+    })
+    .join('\n\n');
+  
+  const multiDocumentNote = ids.length > 1
+    ? `The context comes from ${ids.length} different documents. When the documents differ,\n    say which document each statement comes from.\n    `
+    : '';
+  
+  // Include earlier turns so the model can resolve references in the question
+  const historySection = history.length > 0
+    ? `Conversation so far:\n    ${formatHistory(history)}\n    \n    `
+    : '';
+  
+  const contextSection = searchResults.length > 0
+    ? `Each piece of context information is numbered. Cite the pieces you use inline
+    with their number in square brackets, for example [1] or [2]. Only cite numbers
+    that appear in the context information.
+    ${multiDocumentNote}
+    Context information:
+    ${context}
     
-    // Search for similar documents in Qdrant
-    const vectorCollection = 'document_vectors';
-    await ensureCollection(vectorCollection);
+    `
+    : '';
+  
+  // Create prompt with context
+  const prompt = `
+    ${groundingInstructions(grounding, searchResults.length > 0)}
+    ${contextSection}${historySection}Question: ${query}
     
-    let searchResults;
-    try {
-      // Try searching with filter first
-      searchResults = await qdrantClient.search(vectorCollection, {
-        vector: queryEmbedding,
-        filter: {
-          must: [
-            { key: 'documentId', match: { value: documentId } }
-          ]
-        },
-        limit: 3
-      });
-    } catch (searchError) {
-      // Fallback: search without filter and filter results client-side
-      const allResults = await qdrantClient.search(vectorCollection, {
-        vector: queryEmbedding,
-        limit: 20 // Get more results since we'll filter them
-      });
-      
-      // Filter results client-side
-      searchResults = allResults.filter(result => 
-        result.payload && result.payload.documentId === documentId
-      ).slice(0, 3); // Take top 3
+    Answer:`;
+  
+  return { llm, params: generation.params, prompt, standaloneQuery, sources, grounding, confidence };
+}
+
+// Shape the final result; answers are only answerable when the context supported them
+function buildResult({ text, usage }, { llm, params, standaloneQuery, sources, grounding, confidence }) {
+  const parsed = parseGroundedAnswer(text, grounding);
+  return {
+    text: parsed.text,
+    answerable: sources.length > 0 && parsed.answerable,
+    confidence,
+    grounding,
+    standaloneQuery,
+    sources,
+    citations: checkCitations(parsed.text, sources.length),
+    usage,
+    generation: describeGeneration(llm, params)
+  };
+}
+
+// Describe which model produced an answer, so answers can be compared across providers
+function describeGeneration(llm, params) {
+  return { provider: llm.name, model: llm.model, ...params };
+}
+
+// Function to generate a response using the configured LLM and RAG
+// documentIds - a single document ID or an array of document IDs to search
+// options.history - previous turns ({ query, response }) of the conversation
+// options.generation - { provider, model, params } from resolveGenerationOptions
+// options.retrieval - { mode, topK, minScore, contextTokens, rerank, mmr, mmrLambda } from resolveRetrievalOptions
+// options.grounding - 'strict' answers only from the documents, 'permissive' may fall back to general knowledge
+// Returns { text, answerable, confidence, grounding, standaloneQuery, sources, citations, usage, generation }
+async function generateResponse(query, documentIds, caller, options = {}) {
+  try {
+    const prepared = await prepareGeneration(query, documentIds, caller, options);
+    if (!prepared.prompt) {
+      return buildResult({ text: NOT_FOUND_MESSAGE, usage: null }, prepared);
     }
     
-    if (!searchResults || searchResults.length === 0) {
-      throw new Error('No matching documents found for this query');
+    // Generate response
+    const generated = await prepared.llm.generate(prepared.prompt, prepared.params);
+    return buildResult(generated, prepared);
+  } catch (error) {
+    console.error('Error generating response:', error);
+    if (!error.code) {
+      error.code = 'RESPONSE_GENERATION_FAILED';
+    }
+    throw error;
+  }
+}
+
+// Stream a response token by token
+// documentIds - a single document ID or an array of document IDs to search
+// options.history - previous turns ({ query, response }) of the conversation
+// options.generation - { provider, model, params } from resolveGenerationOptions
+// options.retrieval - { mode, topK, minScore, contextTokens, rerank, mmr, mmrLambda } from resolveRetrievalOptions
+// options.grounding - 'strict' or 'permissive', as for generateResponse
+// options.signal - AbortSignal that cancels retrieval and generation
+// options.onToken - called with each text fragment as it is generated
+async function streamResponse(query, documentIds, caller, options = {}) {
+  try {
+    const { signal, onToken } = options;
+    const prepared = await prepareGeneration(query, documentIds, caller, options);
+    const send = onToken || (() => {});
+    if (!prepared.prompt) {
+      send(NOT_FOUND_MESSAGE);
+      return buildResult({ text: NOT_FOUND_MESSAGE, usage: null }, prepared);
     }
     
-    // Extract content from similar documents
-    const contextTexts = searchResults.map(result => result.payload.text);
-    const context = contextTexts.join('\n\n');
-    
-    // Initialize Gemini model
-    const genAI = new GoogleGenerativeAI(apiKey);
-    const model = genAI.getGenerativeModel({ 
-      model: "gemini-2.0-flash",
-      generationConfig: {
-        temperature: 0.7,
-        topP: 0.9,
-        maxOutputTokens: 2048,
+    // The not-found marker is held back so clients only see the final wording
+    const filter = createMarkerFilter(send, prepared.grounding);
+    const generated = await prepared.llm.stream(prepared.prompt, prepared.params, {
+      signal,
+      onToken: (fragment) => {
+        throwIfAborted(signal);
+        filter.push(fragment);
       }
     });
+    throwIfAborted(signal);
+    filter.end();
     
-    // Create prompt with context
-    const prompt = `
-    Based on the following information, please answer the question.
-    
-    Context information:
-    ${context}
-    
-    Question: ${query}
-    
-    Answer:`;
-    
-    // Generate response
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    return response.text();
+    return buildResult(generated, prepared);
   } catch (error) {
-    console.error('Error generating response:', error);
+    // A cancelled request surfaces from the SDK as an AbortError
+    if (options.signal && options.signal.aborted) {
+      error.code = 'REQUEST_CANCELLED';
+    }
+    if (error.code !== 'REQUEST_CANCELLED') {
+      console.error('Error streaming response:', error);
+    }
     if (!error.code) {
       error.code = 'RESPONSE_GENERATION_FAILED';
     }
@@ -98,6 +286,43 @@ async function generateResponse(query, documentId, apiKey) {
   }
 }
 
+// Retrieve the chunks matching a query without generating an answer, for debugging
+// retrieval and for search UIs. Reranking with the LLM is refused, since no model is called.
+// options.retrieval - { mode, topK, minScore, contextTokens, rerank, mmr, mmrLambda } from resolveRetrievalOptions
+// Returns { results, confidence }; each result is a source plus the chunk's full text
+async function searchChunks(query, documentIds, caller, options = {}) {
+  const ids = Array.isArray(documentIds) ? documentIds : [documentIds];
+  const retrieval = options.retrieval || resolveRetrievalOptions();
+  if (retrieval.rerank === 'llm') {
+    const error = new Error('rerank must be none or local for search');
+    error.code = 'INVALID_RETRIEVAL_OPTIONS';
+    throw error;
+  }
+  
+  const { documents, embedding, vectorCollection } = await resolveQueryEmbedding(ids, caller);
+  const embeddings = retrieval.mode === 'keyword'
+    ? null
+    : getEmbeddingProvider({ provider: embedding.provider, model: embedding.model, apiKey: caller.apiKey });
+  
+  await getVectorStore().ensureCollection(vectorCollection, { size: embedding.dimension });
+  const searchResults = await retrieveChunks(query, {
+    documents,
+    vectorCollection,
+    embeddings,
+    retrieval,
+    limit: ids.length > 1 ? MULTI_DOCUMENT_LIMIT : SINGLE_DOCUMENT_LIMIT
+  });
+  
+  return {
+    results: searchResults.map((result, index) => ({ ...toSource(result, index), text: result.payload.text || '' })),
+    confidence: estimateConfidence(searchResults)
+  };
+}
+
 module.exports = {
-  generateResponse
+  generateResponse,
+  searchChunks,
+  streamResponse,
+  resolveQueryEmbedding,
+  toSource
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
-const { qdrantClient, ensureCollection } = require('../utils/qdrantClient');
+const { getVectorStore, scrollAll } = require('../utils/vectorStore');
+const { getDocumentMetadata, deleteDocument } = require('./documentService');
 require('dotenv').config();
 
 // Constants
@@ -13,45 +14,45 @@ async function cleanupVectorDb() {
     const now = Date.now();
     const metadataCollection = 'document_metadata';
     
-    await ensureCollection(metadataCollection);
+    await getVectorStore().ensureCollection(metadataCollection);
     
-    // Get all documents
-    const response = await qdrantClient.scroll(metadataCollection, {
-      limit: 100
+    // Only documents not accessed for a day are read, across every page
+    const points = await scrollAll(metadataCollection, {
+      filter: {
+        must: [
+          { key: 'lastAccessed', datetime_range: { lt: new Date(now - ONE_DAY_MS).toISOString() } }
+        ]
+      }
     });
     
-    if (!response.points || response.points.length === 0) {
-      return { success: true, message: 'No documents found in vector DB', deletedCount: 0 };
+    if (points.length === 0) {
+      return { success: true, message: 'No expired documents found in vector DB', deletedCount: 0 };
     }
     
     const deletedDocs = [];
     const failedDocs = [];
     
-    for (const point of response.points) {
+    for (const point of points) {
+      // Chunks are keyed by the document's UUID, not by the numeric metadata point ID
+      const documentId = point.payload.originalId || String(point.id);
       try {
-        const documentId = point.id;
-        const lastAccessed = new Date(point.payload.lastAccessed).getTime();
+        // Delete document vectors from the collection sized for its embedding model
+        await getVectorStore().delete(point.payload.vectorCollection || 'document_vectors', {
+          filter: {
+            must: [
+              { key: 'documentId', match: { value: documentId } }
+            ]
+          }
+        });
+        
+        // Delete document metadata
+        await getVectorStore().delete(metadataCollection, {
+          points: [point.id]
+        });
         
-        // Check if document is older than 24 hours and not recently accessed
-        if (now - lastAccessed > ONE_DAY_MS) {
-          // Delete document vectors
-          await qdrantClient.delete('document_vectors', {
-            filter: {
-              must: [
-                { key: 'documentId', match: { value: documentId } }
-              ]
-            }
-          });
-          
-          // Delete document metadata
-          await qdrantClient.delete(metadataCollection, {
-            points: [documentId]
-          });
-          
-          deletedDocs.push(documentId);
-        }
+        deletedDocs.push(documentId);
       } catch (err) {
-        failedDocs.push(point.id);
+        failedDocs.push(documentId);
       }
     }
     
@@ -74,22 +75,19 @@ async function cleanupVectorDb() {
 async function listVectorDbFiles() {
   try {
     const metadataCollection = 'document_metadata';
-    await ensureCollection(metadataCollection);
+    await getVectorStore().ensureCollection(metadataCollection);
     
-    const response = await qdrantClient.scroll(metadataCollection, {
-      limit: 100
-    });
-    
-    if (!response.points || response.points.length === 0) {
-      return [];
-    }
+    const points = await scrollAll(metadataCollection);
     
-    return response.points.map(point => ({
-      documentId: point.id,
-      lastAccessed: point.payload.lastAccessed,
-      uploadedAt: point.payload.uploadedAt,
-      originalFilename: point.payload.originalFilename || `Document ${point.id.substring(0, 8)}`
-    }));
+    return points.map((point) => {
+      const documentId = point.payload.originalId || String(point.id);
+      return {
+        documentId,
+        lastAccessed: point.payload.lastAccessed,
+        uploadedAt: point.payload.uploadedAt,
+        originalFilename: point.payload.originalFilename || `Document ${documentId.substring(0, 8)}`
+      };
+    });
   } catch (err) {
     throw new Error(`Failed to list vector DB files: ${err.message}`);
   }
@@ -102,30 +100,13 @@ async function listVectorDbFiles() {
  */
 async function deleteVectorDbFile(documentId) {
   try {
-    const metadataCollection = 'document_metadata';
-    
     // Check if document exists
-    const response = await qdrantClient.retrieve(metadataCollection, {
-      ids: [documentId]
-    });
-    
-    if (!response.points || response.points.length === 0) {
+    const metadata = await getDocumentMetadata(documentId);
+    if (!metadata) {
       return { success: false, message: 'Document not found' };
     }
     
-    // Delete document vectors
-    await qdrantClient.delete('document_vectors', {
-      filter: {
-        must: [
-          { key: 'documentId', match: { value: documentId } }
-        ]
-      }
-    });
-    
-    // Delete document metadata
-    await qdrantClient.delete(metadataCollection, {
-      points: [documentId]
-    });
+    await deleteDocument(documentId);
     
     return { success: true, message: `Document ${documentId} deleted successfully` };
   } catch (err) {
@@ -1,30 +1,28 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const pdfParse = require("pdf-parse");
-const cheerio = require("cheerio");
-const axios = require("axios");
-const { GoogleGenerativeAIEmbeddings } = require("@langchain/google-genai");
 const crypto = require('crypto');
 const { Document } = require("@langchain/core/documents");
 const { v4: uuidv4 } = require('uuid');
-const { qdrantClient, ensureCollection } = require('../utils/qdrantClient');
+const { getVectorStore, getVectorCollectionName, scrollAll } = require('../utils/vectorStore');
+const { getEmbeddingProvider, describeEmbedding, LEGACY_EMBEDDING } = require('../utils/embeddingProviders');
+const { pageAtOffset } = require('../utils/pdfExtractor');
+const { getLoaderByType, htmlToText } = require('../utils/documentLoaders');
+const { fetchPage } = require('../utils/urlFetcher');
+const { splitText, resolveSplitterOptions } = require('../utils/textSplitter');
+const { ownerFields, ownerCondition, isOwnedBy } = require('../utils/ownership');
+const { suggestQuestions } = require('./suggestionService');
 require('dotenv').config();
 
-// Initialize Google Gemini embeddings
-const getEmbeddings = (apiKey) => {
-  if (!apiKey) {
-    const error = new Error('Google API key is not provided');
-    error.code = 'API_KEY_MISSING';
-    throw error;
-  }
-  
+// Initialize the embedding provider for a document
+// selection - { provider, model } chosen for the upload; defaults come from EMBEDDING_PROVIDER
+const getEmbeddings = (apiKey, selection = {}) => {
   try {
-    return new GoogleGenerativeAIEmbeddings({
-      apiKey: apiKey,
-      modelName: "embedding-001"
-    });
+    return getEmbeddingProvider({ ...selection, apiKey });
   } catch (error) {
+    if (['API_KEY_MISSING', 'UNKNOWN_EMBEDDING_PROVIDER', 'INVALID_EMBEDDING_MODEL'].includes(error.code)) {
+      throw error;
+    }
     console.error('Error initializing embeddings:', error);
     const wrappedError = new Error('Failed to initialize embeddings model');
     wrappedError.code = 'EMBEDDINGS_INIT_FAILED';
@@ -33,27 +31,72 @@ const getEmbeddings = (apiKey) => {
   }
 };
 
-// Check if a file with the same name already exists
-async function checkDuplicateFile(originalFilename, apiKey) {
+// Embedding settings and vector collection of a stored document; documents stored
+// before providers were recorded were embedded with Gemini embedding-001
+const getDocumentEmbedding = (metadata) => {
+  const embedding = metadata.embedding || LEGACY_EMBEDDING;
+  return {
+    embedding,
+    vectorCollection: metadata.vectorCollection || getVectorCollectionName(embedding.dimension)
+  };
+};
+
+// Numeric Qdrant point ID of a document's metadata entry
+const getMetadataPointId = (documentId) => parseInt(crypto.createHash('md5').update(documentId).digest('hex').substring(0, 8), 16);
+
+/**
+ * Compute the SHA-256 used to detect duplicate uploads
+ * @param {Buffer|string} content - Uploaded bytes, or normalized text for URLs
+ * @returns {string} Hex digest
+ */
+function computeContentHash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Normalize extracted text so insignificant whitespace changes don't defeat deduplication
+const normalizeText = (text) => text.replace(/\s+/g, ' ').trim();
+
+// Get a document's metadata payload, or null if it doesn't exist
+async function getDocumentMetadata(documentId) {
+  const metadataCollection = 'document_metadata';
+  await getVectorStore().ensureCollection(metadataCollection);
+  
+  const points = await getVectorStore().retrieve(metadataCollection, {
+    ids: [getMetadataPointId(documentId)],
+    with_payload: true,
+    with_vector: false
+  });
+  
+  const point = points && points[0];
+  if (!point || !point.payload || point.payload.originalId !== documentId) {
+    return null;
+  }
+  return point.payload;
+}
+
+// Suggested starter questions stored with a document, if any were generated
+const getSuggestedQuestions = (metadata) => (metadata && metadata.suggestedQuestions) || [];
+
+// Find the caller's document with the given content hash
+async function checkDuplicateFile(contentHash, caller) {
   try {
-    const apiKeyHash = crypto.createHash('sha256').update(apiKey || '').digest('hex');
-    
     // Get metadata points from Qdrant
     const metadataCollection = 'document_metadata';
-    await ensureCollection(metadataCollection);
+    await getVectorStore().ensureCollection(metadataCollection);
     
-    // Get all metadata points and filter client-side
-    const response = await qdrantClient.scroll(metadataCollection, {
-      limit: 100
+    const response = await getVectorStore().scroll(metadataCollection, {
+      filter: {
+        must: [
+          ownerCondition(caller),
+          { key: 'contentHash', match: { value: contentHash } }
+        ]
+      },
+      limit: 1,
+      with_payload: true,
+      with_vector: false
     });
     
-    // Find matching document by apiKeyHash and originalFilename
-    const matchingPoint = response.points.find(point => 
-      point.payload && 
-      point.payload.apiKeyHash === apiKeyHash && 
-      point.payload.originalFilename === originalFilename
-    );
-    
+    const matchingPoint = response.points[0];
     if (matchingPoint) {
       return matchingPoint.payload.originalId || matchingPoint.id;
     }
@@ -65,53 +108,125 @@ async function checkDuplicateFile(originalFilename, apiKey) {
   }
 }
 
-// Process document (PDF or URL) and store in Qdrant
-async function processDocument(source, type, apiKey) {
+// Find the document a replace upload should re-ingest: the given document ID if the
+// caller owns it, otherwise the caller's most recent document with the same filename
+async function resolveReplaceTarget(documentId, originalFilename, caller) {
+  if (documentId) {
+    const metadata = await getDocumentMetadata(documentId);
+    if (!isOwnedBy(metadata, caller)) {
+      const error = new Error(`Document ${documentId} not found`);
+      error.code = 'DOCUMENT_NOT_FOUND';
+      throw error;
+    }
+    return documentId;
+  }
+  
+  const metadataCollection = 'document_metadata';
+  await getVectorStore().ensureCollection(metadataCollection);
+  
+  const points = await scrollAll(metadataCollection, {
+    filter: {
+      must: [
+        ownerCondition(caller),
+        { key: 'originalFilename', match: { value: originalFilename } }
+      ]
+    }
+  });
+  
+  const latest = points
+    .sort((a, b) => new Date(b.payload.uploadedAt) - new Date(a.payload.uploadedAt))[0];
+  return latest ? latest.payload.originalId : null;
+}
+
+// Delete the temporary upload file once it has been processed
+function removeSourceFile(loader, source) {
+  if (loader && fs.existsSync(source)) {
+    try {
+      fs.unlinkSync(source);
+      console.log(`Deleted temporary file: ${source}`);
+    } catch (err) {
+      console.error('Error deleting file:', err);
+    }
+  }
+}
+
+// Process document (uploaded file or URL) and store in Qdrant
+// type - 'url', or the type of a registered file loader ('pdf', 'docx', 'txt', ...)
+// options.splitter - { strategy, chunkSize, chunkOverlap } used to chunk the text
+// options.collectionId - optional collection the document is grouped under for multi-document chat
+// options.onProgress - called with (stage, details) as the document moves through
+//   parsing, chunking, embedding (with batchesDone/batchesTotal), suggesting and storing
+// options.signal - AbortSignal that cancels processing between stages and batches
+// options.contentHash - SHA-256 of the uploaded bytes; computed from the normalized text for URLs
+// options.replaceDocumentId - re-ingest under this existing document ID instead of creating a new one
+// options.embedding - { provider, model } used to embed the chunks instead of the configured default
+// options.suggestQuestions - generate suggested starter questions and store them with the metadata
+// Returns { documentId, isDuplicate, replaced, suggestedQuestions }
+async function processDocument(source, type, caller, options = {}) {
+  const reportProgress = options.onProgress || (() => {});
+  const throwIfCancelled = () => {
+    if (options.signal && options.signal.aborted) {
+      const error = new Error('Document processing was cancelled');
+      error.code = 'PROCESSING_CANCELLED';
+      throw error;
+    }
+  };
+  
   try {
-    if (!apiKey) {
-      const error = new Error('Google API key is not provided');
-      error.code = 'API_KEY_MISSING';
+    const embeddings = getEmbeddings(caller.apiKey, options.embedding);
+    
+    const loader = type === 'url' ? null : getLoaderByType(type);
+    if (type !== 'url' && !loader) {
+      const error = new Error('Unsupported document type');
+      error.code = 'UNSUPPORTED_TYPE';
       throw error;
     }
+    
+    // Fall back to the loader's preferred strategy, e.g. heading-aware splitting for markdown
+    const requestedSplitter = options.splitter || {};
+    const splitterOptions = resolveSplitterOptions({
+      ...requestedSplitter,
+      strategy: requestedSplitter.strategy || (loader && loader.defaultChunkStrategy)
+    });
 
     // Extract original filename for processing
     let originalFilename = '';
-    if (type === 'pdf') {
+    if (loader) {
       const pathParts = source.split('/');
       const filename = pathParts[pathParts.length - 1];
       originalFilename = filename.replace(/^\d+-/, '');
-    } else if (type === 'url') {
+    } else {
       originalFilename = source;
     }
 
     console.log(`Processing document of type: ${type}`);
     let docs;
+    // Page boundaries of PDF text, used to record the pages each chunk covers
+    let pages = null;
+    // Document-level details stored with the document metadata
+    let documentDetails = {};
+    // Size of the uploaded file or fetched page, in bytes
+    let sizeBytes = null;
     
     // Load document based on type
-    if (type === 'pdf') {
+    reportProgress('parsing');
+    if (loader) {
       if (!fs.existsSync(source)) {
-        const error = new Error(`PDF file not found at path: ${source}`);
+        const error = new Error(`File not found at path: ${source}`);
         error.code = 'FILE_NOT_FOUND';
         throw error;
       }
       
-      // Extract original filename from the path
-      const pathParts = source.split('/');
-      const filename = pathParts[pathParts.length - 1];
-      originalFilename = filename.replace(/^\d+-/, '');
-      
-      console.log(`Loading PDF from: ${source}, original filename: ${originalFilename}`);
-      const pdfData = await fs.promises.readFile(source);
-      const pdfContent = await pdfParse(pdfData);
-      docs = [
-        new Document({
-          pageContent: pdfContent.text,
-          metadata: { source, originalFilename }
-        })
-      ];
-      console.log(`PDF loaded successfully with ${docs.length} document`);
+      console.log(`Loading ${loader.label} from: ${source}, original filename: ${originalFilename}`);
+      const fileData = await fs.promises.readFile(source);
+      sizeBytes = fileData.length;
+      const loaded = await loader.load(fileData, { source, originalFilename });
+      docs = loaded.docs;
+      pages = loaded.pages || null;
+      documentDetails = loaded.details || {};
+      console.log(`${loader.label} loaded successfully with ${docs.length} document`);
       
-    } else if (type === 'url') {
+    } else {
       if (!source.match(/^https?:\/\/.+/)) {
         const error = new Error('Invalid URL format');
         error.code = 'INVALID_URL';
@@ -120,27 +235,17 @@ async function processDocument(source, type, apiKey) {
       
       console.log(`Loading content from URL: ${source}`);
       try {
-        // Add timeout and headers to avoid blocking in serverless environment
-        const response = await axios.get(source, {
-          timeout: 15000,
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (compatible; RAGChatBot/1.0)',
-            'Accept': 'text/html,application/xhtml+xml,application/xml',
-            'Accept-Language': 'en-US,en;q=0.9'
-          },
-          maxRedirects: 5
-        });
-        
-        const $ = cheerio.load(response.data);
-        
-        // Remove script and style elements that don't contain useful text
-        $('script, style, noscript, iframe, img, svg, canvas, video, audio').remove();
+        // Private and internal hosts, oversized responses and non-HTML content are refused
+        const page = await fetchPage(source, { signal: options.signal });
         
         // Extract text content from the page
-        const text = $('body').text().trim().replace(/\s+/g, ' ');
+        const { text } = htmlToText(page.html);
+        sizeBytes = page.sizeBytes;
         
         if (!text || text.length < 50) {
-          throw new Error('Insufficient content extracted from URL');
+          const error = new Error('Insufficient content extracted from URL');
+          error.code = 'EMPTY_CONTENT';
+          throw error;
         }
         
         docs = [
@@ -151,63 +256,103 @@ async function processDocument(source, type, apiKey) {
         ];
         console.log(`URL content loaded successfully with ${docs.length} document`);
       } catch (error) {
+        throwIfCancelled();
         console.error('Error loading URL:', error);
+        // Fetch errors keep their code (BLOCKED_HOST, TOO_LARGE, NON_HTML, ...) for the route to report
+        if (error.code) {
+          throw error;
+        }
         throw new Error(`Failed to load URL: ${error.message}`);
       }
-    } else {
-      const error = new Error('Unsupported document type');
-      error.code = 'UNSUPPORTED_TYPE';
-      throw error;
     }
 
     // Check if we have any content
-    if (!docs || docs.length === 0) {
+    if (!docs || docs.length === 0 || docs.every(doc => !doc.pageContent || !doc.pageContent.trim())) {
       const error = new Error('No content extracted from document');
       error.code = 'EMPTY_CONTENT';
       throw error;
     }
 
+    throwIfCancelled();
+    
     // Split text into chunks
-    console.log('Splitting document into chunks');
+    reportProgress('chunking');
+    console.log(`Splitting document into chunks using the ${splitterOptions.strategy} strategy`);
     const splitDocs = [];
     for (const doc of docs) {
-      const text = doc.pageContent;
-      const chunkSize = 2000;
-      const overlap = 200;
-      
-      for (let i = 0; i < text.length; i += chunkSize - overlap) {
-        const chunk = text.substring(i, i + chunkSize);
-        if (chunk.length > 0) {
-          splitDocs.push(
-            new Document({
-              pageContent: chunk,
-              metadata: { ...doc.metadata, chunk: splitDocs.length }
-            })
-          );
+      for (const chunk of splitText(doc.pageContent, splitterOptions)) {
+        const chunkMetadata = { ...doc.metadata, ...chunk.metadata, chunk: splitDocs.length };
+        if (pages) {
+          chunkMetadata.pageStart = pageAtOffset(pages, chunk.start);
+          chunkMetadata.pageEnd = pageAtOffset(pages, chunk.end - 1);
         }
+        splitDocs.push(
+          new Document({
+            pageContent: chunk.text,
+            metadata: chunkMetadata
+          })
+        );
       }
     }
     console.log(`Document split into ${splitDocs.length} chunks`);
     
-    // Generate a unique ID for this document
-    const documentId = uuidv4();
-    console.log(`Generated document ID: ${documentId}`);
+    const contentHash = options.contentHash || computeContentHash(normalizeText(docs.map(doc => doc.pageContent).join('\n')));
+    
+    // Documents with the same content are only embedded once per owner
+    if (!options.replaceDocumentId) {
+      const existingDocId = await checkDuplicateFile(contentHash, caller);
+      if (existingDocId) {
+        console.log(`Document content matches existing document ${existingDocId}`);
+        await recordDocumentAccess(existingDocId);
+        removeSourceFile(loader, source);
+        const existingMetadata = await getDocumentMetadata(existingDocId);
+        return { documentId: existingDocId, isDuplicate: true, replaced: false, suggestedQuestions: getSuggestedQuestions(existingMetadata) };
+      }
+    }
+    
+    // Replacing re-ingests under the same document ID as a new revision
+    let documentId;
+    let revision = 1;
+    let previousMetadata = null;
+    if (options.replaceDocumentId) {
+      previousMetadata = await getDocumentMetadata(options.replaceDocumentId);
+      if (!isOwnedBy(previousMetadata, caller)) {
+        const error = new Error(`Document ${options.replaceDocumentId} not found`);
+        error.code = 'DOCUMENT_NOT_FOUND';
+        throw error;
+      }
+      
+      documentId = options.replaceDocumentId;
+      if (previousMetadata.contentHash === contentHash) {
+        console.log(`Document ${documentId} is unchanged, skipping re-ingestion`);
+        removeSourceFile(loader, source);
+        return { documentId, isDuplicate: true, replaced: false, suggestedQuestions: getSuggestedQuestions(previousMetadata) };
+      }
+      revision = (previousMetadata.revision || 1) + 1;
+      console.log(`Replacing document ${documentId} with revision ${revision}`);
+    } else {
+      // Generate a unique ID for this document
+      documentId = uuidv4();
+      console.log(`Generated document ID: ${documentId}`);
+    }
     
-    // Ensure collections exist
-    const vectorCollection = 'document_vectors';
+    // Collections are sized to the provider's embedding dimension
+    const embedding = await describeEmbedding(embeddings);
+    const vectorCollection = getVectorCollectionName(embedding.dimension);
     const metadataCollection = 'document_metadata';
-    await ensureCollection(vectorCollection);
-    await ensureCollection(metadataCollection);
+    await getVectorStore().ensureCollection(vectorCollection, { size: embedding.dimension });
+    await getVectorStore().ensureCollection(metadataCollection);
     
     // Create embeddings and store in Qdrant
-    console.log('Creating vector embeddings');
+    console.log(`Creating vector embeddings with ${embedding.provider} ${embedding.model} (${embedding.dimension} dimensions)`);
     try {
-      const embeddings = getEmbeddings(apiKey);
-      
       // Process documents in batches of 5 to avoid API limits
       const batchSize = 5;
+      const batchesTotal = Math.ceil(splitDocs.length / batchSize);
+      reportProgress('embedding', { batchesDone: 0, batchesTotal });
       
       for (let i = 0; i < splitDocs.length; i += batchSize) {
+        throwIfCancelled();
         console.log(`Processing batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(splitDocs.length/batchSize)}`);
         const batch = splitDocs.slice(i, i + batchSize);
         
@@ -220,8 +365,8 @@ async function processDocument(source, type, apiKey) {
           
           // Prepare points for Qdrant - using numeric IDs
           const points = batch.map((doc, idx) => {
-            // Create a numeric ID by hashing the document ID and chunk index
-            const pointIdStr = `${documentId}_${i + idx}`;
+            // Create a numeric ID by hashing the document ID, revision and chunk index
+            const pointIdStr = revision > 1 ? `${documentId}_r${revision}_${i + idx}` : `${documentId}_${i + idx}`;
             const pointIdHash = crypto.createHash('md5').update(pointIdStr).digest('hex');
             const pointId = parseInt(pointIdHash.substring(0, 8), 16); // Convert first 8 chars to number
             
@@ -233,36 +378,64 @@ async function processDocument(source, type, apiKey) {
                 documentId: documentId,
                 metadata: doc.metadata,
                 chunk: i + idx,
+                pageStart: doc.metadata.pageStart,
+                pageEnd: doc.metadata.pageEnd,
+                revision,
                 originalId: pointIdStr // Store the original ID in payload
               }
             };
           });
           
           // Upload to Qdrant
-          await qdrantClient.upsert(vectorCollection, {
+          await getVectorStore().upsert(vectorCollection, {
             points: points
           });
           
           console.log(`Successfully processed batch ${Math.floor(i/batchSize) + 1}`);
+          reportProgress('embedding', { batchesDone: Math.floor(i/batchSize) + 1, batchesTotal });
         } catch (batchError) {
           console.error(`Error processing batch ${Math.floor(i/batchSize) + 1}:`, batchError);
           throw batchError;
         }
       }
       
+      throwIfCancelled();
+      
+      // Optional starter questions, generated from a sample of the chunks
+      let suggestedQuestions = [];
+      if (options.suggestQuestions) {
+        reportProgress('suggesting');
+        suggestedQuestions = await suggestQuestions(splitDocs.map(doc => doc.pageContent), caller.apiKey, { signal: options.signal });
+        throwIfCancelled();
+      }
+      
+      reportProgress('storing');
+      
       // Store document metadata with numeric ID
-      const metadataId = parseInt(crypto.createHash('md5').update(documentId).digest('hex').substring(0, 8), 16);
+      const metadataId = getMetadataPointId(documentId);
       
       const metadata = {
         originalId: documentId, // Store the original UUID in payload
-        uploadedAt: new Date().toISOString(),
-        apiKeyHash: crypto.createHash('sha256').update(apiKey).digest('hex'),
+        uploadedAt: previousMetadata ? previousMetadata.uploadedAt : new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        ...ownerFields(caller),
         originalFilename: originalFilename,
         type: type,
+        contentHash: contentHash,
+        revision: revision,
+        chunkCount: splitDocs.length,
+        sizeBytes: sizeBytes,
+        characterCount: docs.reduce((total, doc) => total + doc.pageContent.length, 0),
+        chunking: splitterOptions,
+        embedding: embedding,
+        vectorCollection: vectorCollection,
+        collectionId: options.collectionId || (previousMetadata && previousMetadata.collectionId) || null,
+        ...documentDetails,
+        suggestedQuestions,
         lastAccessed: new Date().toISOString()
       };
       
-      await qdrantClient.upsert(metadataCollection, {
+      await getVectorStore().upsert(metadataCollection, {
         points: [{
           id: metadataId,
           vector: new Array(768).fill(0), // Dummy vector
@@ -270,20 +443,56 @@ async function processDocument(source, type, apiKey) {
         }]
       });
       
-      console.log('Vector embeddings saved successfully to Qdrant');
-      
-      // Clean up uploaded file if it was a PDF
-      if (type === 'pdf' && fs.existsSync(source)) {
-        try {
-          fs.unlinkSync(source);
-          console.log(`Deleted temporary file: ${source}`);
-        } catch (err) {
-          console.error('Error deleting file:', err);
+      // Drop the chunks of earlier revisions now that the new revision is stored
+      if (previousMetadata) {
+        const previous = getDocumentEmbedding(previousMetadata);
+        if (previous.vectorCollection !== vectorCollection) {
+          // The earlier revision was embedded with a different dimension
+          await getVectorStore().delete(previous.vectorCollection, {
+            filter: {
+              must: [
+                { key: 'documentId', match: { value: documentId } }
+              ]
+            }
+          });
         }
+        await getVectorStore().delete(vectorCollection, {
+          filter: {
+            must: [
+              { key: 'documentId', match: { value: documentId } }
+            ],
+            must_not: [
+              { key: 'revision', match: { value: revision } }
+            ]
+          }
+        });
       }
       
-      return documentId;
+      console.log('Vector embeddings saved successfully to Qdrant');
+      
+      // Clean up uploaded file
+      removeSourceFile(loader, source);
+      
+      return { documentId, isDuplicate: false, replaced: revision > 1, suggestedQuestions };
     } catch (error) {
+      // Remove the batches of this revision stored so far, so no orphaned chunks are left behind
+      try {
+        await getVectorStore().delete(vectorCollection, {
+          filter: {
+            must: [
+              { key: 'documentId', match: { value: documentId } },
+              { key: 'revision', match: { value: revision } }
+            ]
+          }
+        });
+      } catch (cleanupError) {
+        console.error('Error removing partially stored vectors:', cleanupError);
+      }
+      
+      if (error.code === 'PROCESSING_CANCELLED') {
+        throw error;
+      }
+      
       console.error('Error creating or saving vector embeddings:', error);
       const wrappedError = new Error('Failed to create vector embeddings');
       wrappedError.code = 'VECTOR_CREATION_FAILED';
@@ -291,13 +500,15 @@ async function processDocument(source, type, apiKey) {
       throw wrappedError;
     }
   } catch (error) {
-    console.error('Error processing document:', error);
+    if (error.code !== 'PROCESSING_CANCELLED') {
+      console.error('Error processing document:', error);
+    }
     if (!error.code) {
       error.code = 'DOCUMENT_PROCESSING_FAILED';
     }
     
-    // Clean up uploaded file if it was a PDF and still exists
-    if (type === 'pdf' && source && fs.existsSync(source)) {
+    // Clean up uploaded file if it still exists
+    if (type !== 'url' && source && fs.existsSync(source)) {
       try {
         fs.unlinkSync(source);
         console.log(`Deleted temporary file after error: ${source}`);
@@ -319,68 +530,42 @@ async function deleteDocument(documentId) {
 
     console.log(`Deleting document with ID: ${documentId}`);
     
-    const vectorCollection = 'document_vectors';
     const metadataCollection = 'document_metadata';
+    await getVectorStore().ensureCollection(metadataCollection);
     
-    // Ensure collections exist with proper indexes
-    await ensureCollection(vectorCollection);
-    await ensureCollection(metadataCollection);
+    // Vectors live in the collection sized for the document's embedding model
+    const storedMetadata = await getDocumentMetadata(documentId);
+    const { vectorCollection, embedding } = getDocumentEmbedding(storedMetadata || {});
+    await getVectorStore().ensureCollection(vectorCollection, { size: embedding.dimension });
     
-    // Use the direct approach - get all points and delete by ID
-    // First, get all vector points
-    const allPoints = await qdrantClient.scroll(vectorCollection, {
-      limit: 1000,
-      with_payload: true, // Ensure we get the payload data
-      with_vectors: false // We don't need the vectors
+    // Delete every chunk of the document, whatever its revision
+    await getVectorStore().delete(vectorCollection, {
+      filter: {
+        must: [
+          { key: 'documentId', match: { value: documentId } }
+        ]
+      }
     });
     
-    // Find points matching our document ID
-    const pointsToDelete = allPoints.points
-      .filter(point => point.payload && point.payload.documentId === documentId)
-      .map(point => point.id);
-    
-    if (pointsToDelete.length > 0) {
-      console.log(`Found ${pointsToDelete.length} vector points to delete`);
-      
-      // Delete points by ID
-      await qdrantClient.delete(vectorCollection, {
-        points: pointsToDelete
-      });
-    } else {
-      console.log('No matching vector points found to delete');
-    }
-    
     // For metadata, we need to find the numeric ID first
-    const metadataId = parseInt(crypto.createHash('md5').update(documentId).digest('hex').substring(0, 8), 16);
+    const metadataId = getMetadataPointId(documentId);
     
     try {
       // Delete document metadata by ID
-      await qdrantClient.delete(metadataCollection, {
+      await getVectorStore().delete(metadataCollection, {
         points: [metadataId]
       });
     } catch (metadataError) {
       console.error('Error deleting metadata by ID:', metadataError);
       
-      // Fallback: Get all metadata and find the one matching our document ID
-      const allMetadata = await qdrantClient.scroll(metadataCollection, {
-        limit: 100,
-        with_payload: true, // Ensure we get the payload data
-        with_vectors: false // We don't need the vectors
+      // Fallback: delete any metadata point that carries our document ID
+      await getVectorStore().delete(metadataCollection, {
+        filter: {
+          must: [
+            { key: 'originalId', match: { value: documentId } }
+          ]
+        }
       });
-      
-      // Find metadata matching our document ID
-      const metadataToDelete = allMetadata.points
-        .filter(point => point.payload && point.payload.originalId === documentId)
-        .map(point => point.id);
-      
-      if (metadataToDelete.length > 0) {
-        console.log(`Found ${metadataToDelete.length} metadata points to delete`);
-        
-        // Delete metadata by ID
-        await qdrantClient.delete(metadataCollection, {
-          points: metadataToDelete
-        });
-      }
     }
     
     console.log(`Successfully deleted document: ${documentId}`);
@@ -395,44 +580,182 @@ async function deleteDocument(documentId) {
   }
 }
 
-// Get list of uploaded files
-async function getUploadedFiles(apiKey) {
+// Date sorts are ordered and paged by the store through their datetime index;
+// names can't be ordered by the store, so sorting by name reads every match
+const LIST_SORTS = {
+  // Newest first by default
+  uploadedAt: { key: (payload) => payload.uploadedAt || '', field: 'uploadedAt', order: 'desc' },
+  lastAccessed: { key: (payload) => payload.lastAccessed || '', field: 'lastAccessed', order: 'desc' },
+  name: { key: (payload) => (payload.originalFilename || '').toLowerCase(), field: null, order: 'asc' }
+};
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 500;
+const MAX_LIST_SEARCH_LENGTH = 200;
+
+const invalidListOptions = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_LIST_OPTIONS';
+  return error;
+};
+
+// Cursors are opaque to clients: the sort value and document ID of the last file on a page
+const encodeCursor = (value, documentId) => Buffer.from(JSON.stringify([value, documentId])).toString('base64url');
+
+const decodeCursor = (cursor) => {
   try {
-    if (!apiKey) {
-      const error = new Error('Google API key is not provided');
-      error.code = 'API_KEY_MISSING';
-      throw error;
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(decoded) && decoded.length === 2 && typeof decoded[0] === 'string' && typeof decoded[1] === 'string') {
+      return { value: decoded[0], documentId: decoded[1] };
     }
+  } catch (error) {
+    // Reported below
+  }
+  throw invalidListOptions('cursor is invalid');
+};
 
-    // Create a hash of the API key to compare with stored values
-    const apiKeyHash = crypto.createHash('sha256').update(apiKey).digest('hex');
-    
+/**
+ * Validate the options of a document listing
+ * @param {Object} [options] - { cursor, limit, sort, order, search }
+ * @returns {Object} Options with defaults applied
+ */
+function resolveListOptions(options = {}) {
+  const sort = options.sort || 'uploadedAt';
+  if (!LIST_SORTS[sort]) {
+    throw invalidListOptions(`sort must be one of: ${Object.keys(LIST_SORTS).join(', ')}`);
+  }
+  
+  const order = options.order || LIST_SORTS[sort].order;
+  if (!['asc', 'desc'].includes(order)) {
+    throw invalidListOptions('order must be asc or desc');
+  }
+  
+  const limit = options.limit === undefined || options.limit === null || options.limit === ''
+    ? DEFAULT_LIST_LIMIT
+    : Number(options.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+    throw invalidListOptions(`limit must be an integer between 1 and ${MAX_LIST_LIMIT}`);
+  }
+  
+  const search = options.search ? String(options.search).trim() : '';
+  if (search.length > MAX_LIST_SEARCH_LENGTH) {
+    throw invalidListOptions(`search must be at most ${MAX_LIST_SEARCH_LENGTH} characters`);
+  }
+  
+  const cursor = options.cursor ? decodeCursor(String(options.cursor)) : null;
+  // A date sort resumes from a timestamp, which the store has to be able to compare
+  if (cursor && LIST_SORTS[sort].field && Number.isNaN(Date.parse(cursor.value))) {
+    throw invalidListOptions('cursor is invalid for this sort');
+  }
+  
+  return {
+    sort,
+    order,
+    limit,
+    search,
+    cursor
+  };
+}
+
+// Order of listed files: by sort value, then by document ID so equal values have a stable order
+const listComparator = (order) => {
+  const direction = order === 'asc' ? 1 : -1;
+  return (a, b) => {
+    if (a.value !== b.value) return (a.value < b.value ? -1 : 1) * direction;
+    return a.documentId < b.documentId ? -1 : a.documentId > b.documentId ? 1 : 0;
+  };
+};
+
+// Read up to limit + 1 files after the cursor in date order, letting the store order and
+// limit them. A run of equal dates is always read whole and ordered by document ID, so
+// pages never skip or repeat a file whose date matches the cursor.
+async function readDatePage(metadataCollection, must, options, toEntry) {
+  const { field } = LIST_SORTS[options.sort];
+  const compare = listComparator(options.order);
+  const readSameDate = async (value) => {
+    const points = await scrollAll(metadataCollection, {
+      filter: { must: [...must, { key: field, datetime_range: { gte: value, lte: value } }] }
+    });
+    return points.map(toEntry).sort(compare);
+  };
+  
+  const entries = [];
+  if (options.cursor) {
+    const sameDate = await readSameDate(options.cursor.value);
+    entries.push(...sameDate.filter(entry => compare(entry, options.cursor) > 0));
+  }
+  
+  const wanted = options.limit + 1 - entries.length;
+  if (wanted > 0) {
+    const after = options.cursor
+      ? [{ key: field, datetime_range: options.order === 'asc' ? { gt: options.cursor.value } : { lt: options.cursor.value } }]
+      : [];
+    const page = await getVectorStore().scroll(metadataCollection, {
+      filter: { must: [...must, ...after] },
+      limit: wanted,
+      order_by: { key: field, direction: options.order }
+    });
+    let fetched = page.points.map(toEntry);
+    if (fetched.length === wanted) {
+      // The page may end part way through a run of equal dates
+      const lastValue = fetched[fetched.length - 1].value;
+      fetched = [...fetched.filter(entry => entry.value !== lastValue), ...(await readSameDate(lastValue))];
+    }
+    entries.push(...fetched.sort(compare));
+  }
+  return entries;
+}
+
+// Read every file matching the filter and sort them in memory, for sorts the store can't order
+async function readSortedPage(metadataCollection, must, options, toEntry) {
+  const compare = listComparator(options.order);
+  const points = await scrollAll(metadataCollection, { filter: { must } });
+  const entries = points.map(toEntry).sort(compare);
+  return options.cursor ? entries.filter(entry => compare(entry, options.cursor) > 0) : entries;
+}
+
+// Get a page of the caller's uploaded files
+// options - { cursor, limit, sort, order, search } from resolveListOptions
+// Returns { files, total, nextCursor }; total counts every file matching the search
+async function getUploadedFiles(caller, options = resolveListOptions()) {
+  try {
     const metadataCollection = 'document_metadata';
-    await ensureCollection(metadataCollection);
+    await getVectorStore().ensureCollection(metadataCollection);
     
-    try {
-      // First try to get all documents without filtering
-      const allResponse = await qdrantClient.scroll(metadataCollection, {
-        limit: 100,
-        with_payload: true, // Ensure we get the payload data
-        with_vectors: false // We don't need the vectors
-      });
-      
-      // Filter client-side by API key hash
-      const files = allResponse.points
-        .filter(point => point.payload && point.payload.apiKeyHash === apiKeyHash)
-        .map(point => ({
-          documentId: point.payload.originalId || point.id.toString(),
-          originalFilename: point.payload.originalFilename || `Document ${point.id.toString().substring(0, 8)}`,
-          uploadedAt: point.payload.uploadedAt,
-          lastAccessed: point.payload.lastAccessed
-        }));
-      
-      return { files };
-    } catch (error) {
-      console.error('Error getting uploaded files:', error);
-      return { files: [] }; // Return empty array if we can't get the files
+    // Only the caller's documents matching the filename search are read from the store;
+    // the search matches words of the filename that start with each word searched for
+    const must = [ownerCondition(caller)];
+    if (options.search) {
+      must.push({ key: 'originalFilename', match: { text: options.search } });
     }
+    
+    const { key, field } = LIST_SORTS[options.sort];
+    const toEntry = (point) => ({
+      value: key(point.payload),
+      documentId: point.payload.originalId || point.id.toString(),
+      payload: point.payload
+    });
+    
+    // Resume after the last file of the previous page, so pages stay stable as files are added
+    const [entries, total] = await Promise.all([
+      field
+        ? readDatePage(metadataCollection, must, options, toEntry)
+        : readSortedPage(metadataCollection, must, options, toEntry),
+      getVectorStore().count(metadataCollection, { filter: { must } })
+    ]);
+    const page = entries.slice(0, options.limit);
+    const last = page[page.length - 1];
+    
+    return {
+      files: page.map(({ documentId, payload }) => ({
+        documentId,
+        originalFilename: payload.originalFilename || `Document ${documentId.substring(0, 8)}`,
+        uploadedAt: payload.uploadedAt,
+        lastAccessed: payload.lastAccessed,
+        collectionId: payload.collectionId || null
+      })),
+      total,
+      nextCursor: entries.length > page.length ? encodeCursor(last.value, last.documentId) : null
+    };
   } catch (error) {
     console.error('Error getting uploaded files:', error);
     if (!error.code) {
@@ -442,11 +765,59 @@ async function getUploadedFiles(apiKey) {
   }
 }
 
-// Record document access
+// Get the IDs of all documents in a collection that belong to the caller
+async function getCollectionDocumentIds(collectionId, caller) {
+  try {
+    const metadataCollection = 'document_metadata';
+    await getVectorStore().ensureCollection(metadataCollection);
+    
+    const points = await scrollAll(metadataCollection, {
+      filter: {
+        must: [
+          ownerCondition(caller),
+          { key: 'collectionId', match: { value: collectionId } }
+        ]
+      }
+    });
+    
+    return points.map(point => point.payload.originalId || point.id.toString());
+  } catch (error) {
+    console.error('Error getting collection documents:', error);
+    if (!error.code) {
+      error.code = 'COLLECTION_LOOKUP_FAILED';
+    }
+    throw error;
+  }
+}
+
+// Move every document owned by a Google API key to the caller's workspace, so documents
+// uploaded before user accounts keep working after the key is rotated
+// Returns the IDs of the claimed documents
+async function claimLegacyDocuments(apiKeyHash, caller) {
+  const metadataCollection = 'document_metadata';
+  await getVectorStore().ensureCollection(metadataCollection);
+  
+  const points = await scrollAll(metadataCollection, {
+    filter: {
+      must: [{ key: 'apiKeyHash', match: { value: apiKeyHash } }]
+    }
+  });
+  if (points.length === 0) return [];
+  
+  await getVectorStore().setPayload(metadataCollection, {
+    payload: { ...ownerFields(caller), apiKeyHash: null },
+    points: points.map(point => point.id)
+  });
+  return points.map(point => point.payload.originalId || point.id.toString());
+}
+
+// Record document access, so recently used documents survive the daily cleanup
 async function recordDocumentAccess(documentId) {
   try {
-    // Since we can't easily update just the timestamp, we'll skip this functionality
-    // This is a non-critical feature that can be implemented later
+    await getVectorStore().setPayload('document_metadata', {
+      payload: { lastAccessed: new Date().toISOString() },
+      points: [getMetadataPointId(documentId)]
+    });
     return true;
   } catch (error) {
     console.error('Error recording document access:', error);
@@ -454,10 +825,87 @@ async function recordDocumentAccess(documentId) {
   }
 }
 
+// Describe a document from its metadata payload, leaving out internal fields
+function describeDocument(metadata) {
+  const { originalId, apiKeyHash, vectorCollection, summaries, suggestedQuestions, ...details } = metadata;
+  return {
+    documentId: originalId,
+    ...details,
+    type: details.type || null,
+    chunkCount: details.chunkCount || null,
+    sizeBytes: details.sizeBytes || null,
+    pageCount: details.pageCount || null,
+    revision: details.revision || 1,
+    collectionId: details.collectionId || null,
+    embedding: getDocumentEmbedding(metadata).embedding,
+    suggestedQuestions: suggestedQuestions || [],
+    summaryStyles: Object.keys(summaries || {})
+  };
+}
+
+// Get a page of a document's chunks in document order
+// metadata - the document's metadata payload, as resolved by authorizeDocument
+// offset - index of the first chunk; limit - number of chunks
+// Returns { chunks, total, nextOffset }
+async function getDocumentChunks(metadata, { offset = 0, limit = 20 } = {}) {
+  const documentId = metadata.originalId;
+  
+  // Chunk indexes run from 0 to chunkCount - 1, so a page is a range of indexes
+  const { vectorCollection } = getDocumentEmbedding(metadata);
+  const response = await getVectorStore().scroll(vectorCollection, {
+    filter: {
+      must: [
+        { key: 'documentId', match: { value: documentId } },
+        { key: 'chunk', range: { gte: offset, lt: offset + limit } }
+      ]
+    },
+    limit,
+    with_payload: true,
+    with_vector: false
+  });
+  
+  const chunks = response.points
+    .map(point => ({
+      chunk: point.payload.chunk,
+      text: point.payload.text,
+      pageStart: point.payload.pageStart || null,
+      pageEnd: point.payload.pageEnd || null,
+      revision: point.payload.revision || 1,
+      metadata: point.payload.metadata || {}
+    }))
+    .sort((a, b) => a.chunk - b.chunk);
+  
+  const total = metadata.chunkCount || 0;
+  return {
+    chunks,
+    total,
+    nextOffset: offset + limit < total ? offset + limit : null
+  };
+}
+
+// Merge fields into a document's metadata payload
+async function updateDocumentMetadata(documentId, payload) {
+  await getVectorStore().setPayload('document_metadata', {
+    payload,
+    points: [getMetadataPointId(documentId)]
+  });
+}
+
 module.exports = {
   processDocument,
   deleteDocument,
   getUploadedFiles,
+  resolveListOptions,
   checkDuplicateFile,
-  recordDocumentAccess
+  computeContentHash,
+  resolveReplaceTarget,
+  getCollectionDocumentIds,
+  claimLegacyDocuments,
+  getDocumentMetadata,
+  getDocumentEmbedding,
+  recordDocumentAccess,
+  updateDocumentMetadata,
+  getSuggestedQuestions,
+  describeDocument,
+  getDocumentChunks
 };
\ No newline at end of file
@@ -0,0 +1,308 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { getVectorStore } = require('../utils/vectorStore');
+const { getEmbeddingProvider } = require('../utils/embeddingProviders');
+const { getLlmProvider, resolveGenerationOptions } = require('../utils/llmProviders');
+const { countTokens } = require('../utils/textSplitter');
+const { recordDocumentAccess } = require('./documentService');
+const { resolveRetrievalOptions, retrieveChunks } = require('./retrievalService');
+const { resolveQueryEmbedding, toSource } = require('./chatService');
+require('dotenv').config();
+
+// Most top-level fields a single extraction schema may have
+const MAX_FIELDS = parseInt(process.env.EXTRACTION_MAX_FIELDS, 10) || 30;
+
+// Limits on the JSON of a caller's schema: serialized size and nesting depth
+const MAX_SCHEMA_BYTES = parseInt(process.env.EXTRACTION_MAX_SCHEMA_BYTES, 10) || 16 * 1024;
+const MAX_SCHEMA_DEPTH = 12;
+
+const SCHEMA_TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+
+// The subset of JSON Schema callers may use. Ajv compiles schemas to code, so
+// keywords that run caller regular expressions (pattern, patternProperties) or
+// load other documents ($ref, $id, $schema) are not accepted, nor is anything
+// not listed here.
+const EXTRACTION_META_SCHEMA = {
+  definitions: {
+    schema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        type: {
+          anyOf: [
+            { enum: SCHEMA_TYPES },
+            { type: 'array', items: { enum: SCHEMA_TYPES }, minItems: 1, uniqueItems: true }
+          ]
+        },
+        title: { type: 'string' },
+        description: { type: 'string' },
+        properties: { type: 'object', additionalProperties: { $ref: '#/definitions/schema' } },
+        required: { type: 'array', items: { type: 'string' }, uniqueItems: true },
+        additionalProperties: { anyOf: [{ type: 'boolean' }, { $ref: '#/definitions/schema' }] },
+        items: { $ref: '#/definitions/schema' },
+        anyOf: { type: 'array', minItems: 1, items: { $ref: '#/definitions/schema' } },
+        enum: { type: 'array', minItems: 1 },
+        const: {},
+        format: { type: 'string' },
+        minimum: { type: 'number' },
+        maximum: { type: 'number' },
+        exclusiveMinimum: { type: 'number' },
+        exclusiveMaximum: { type: 'number' },
+        minLength: { type: 'integer', minimum: 0 },
+        maxLength: { type: 'integer', minimum: 0 },
+        minItems: { type: 'integer', minimum: 0 },
+        maxItems: { type: 'integer', minimum: 0 },
+        uniqueItems: { type: 'boolean' },
+        default: {},
+        examples: { type: 'array' }
+      }
+    }
+  },
+  $ref: '#/definitions/schema'
+};
+
+const checkSchemaShape = new Ajv().compile(EXTRACTION_META_SCHEMA);
+
+// Nesting depth of a JSON value; stops counting past the limit
+const jsonDepth = (value, limit) => {
+  if (!value || typeof value !== 'object' || limit < 0) return 0;
+  let deepest = 0;
+  for (const child of Object.values(value)) {
+    deepest = Math.max(deepest, jsonDepth(child, limit - 1));
+    if (deepest > limit) break;
+  }
+  return deepest + 1;
+};
+
+// Number of chunks retrieved for each field, unless the caller sets topK
+const FIELD_CHUNK_LIMIT = 3;
+
+const invalidSchema = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_SCHEMA';
+  return error;
+};
+
+/**
+ * Check and compile an extraction schema. Only object schemas are accepted,
+ * since every top-level property is retrieved and reported separately. The
+ * schema comes from the caller, so it is checked against size and depth limits
+ * and the restricted keyword set of EXTRACTION_META_SCHEMA before ajv sees it.
+ * @param {Object} schema - JSON Schema with type "object" and properties
+ * @returns {{fields: string[], required: string[], validate: Function, fieldValidators: Object}}
+ *   Field names, required fields, the ajv validator of the whole schema and one per field
+ */
+function compileSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema) || schema.type !== 'object' ||
+      !schema.properties || typeof schema.properties !== 'object') {
+    throw invalidSchema('schema must be a JSON Schema with type "object" and properties');
+  }
+  const fields = Object.keys(schema.properties);
+  if (fields.length === 0 || fields.length > MAX_FIELDS) {
+    throw invalidSchema(`schema must have between 1 and ${MAX_FIELDS} properties`);
+  }
+  if (Buffer.byteLength(JSON.stringify(schema)) > MAX_SCHEMA_BYTES) {
+    throw invalidSchema(`schema must be at most ${MAX_SCHEMA_BYTES} bytes of JSON`);
+  }
+  if (jsonDepth(schema, MAX_SCHEMA_DEPTH) > MAX_SCHEMA_DEPTH) {
+    throw invalidSchema(`schema must not be nested more than ${MAX_SCHEMA_DEPTH} levels deep`);
+  }
+  if (!checkSchemaShape(schema)) {
+    const [error] = checkSchemaShape.errors;
+    const detail = error.keyword === 'additionalProperties'
+      ? `keyword "${error.params.additionalProperty}" is not supported`
+      : error.message;
+    throw invalidSchema(`schema${error.instancePath}: ${detail}`);
+  }
+
+  // A fresh instance per schema, so caller schemas never share ajv's cache. Strict mode
+  // rejects unknown formats and inconsistent keywords. Validation stops at the first
+  // error, so each field gets its own validator to be reported on separately.
+  const ajv = addFormats(new Ajv({ strict: true, allowUnionTypes: true }));
+  try {
+    const validate = ajv.compile(schema);
+    const fieldValidators = {};
+    for (const field of fields) {
+      fieldValidators[field] = ajv.compile(schema.properties[field]);
+    }
+    return { fields, required: schema.required || [], validate, fieldValidators };
+  } catch (error) {
+    throw invalidSchema(error.message);
+  }
+}
+
+// Turn a property into a retrieval query: "invoiceDate" with a description
+// becomes "invoice Date: Date the invoice was issued"
+function fieldQuery(field, property) {
+  const words = field.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ');
+  const label = property && property.title ? `${words} (${property.title})` : words;
+  return property && property.description ? `${label}: ${property.description}` : label;
+}
+
+// Combine the chunks found for each field into one numbered context. Chunks are
+// taken round-robin by rank so every field keeps its best chunk within the budget.
+function mergeFieldResults(fieldResults, contextTokens) {
+  const merged = [];
+  const positions = new Map();
+  const depth = Math.max(0, ...fieldResults.map(results => results.length));
+  let used = 0;
+
+  for (let rank = 0; rank < depth; rank++) {
+    for (const results of fieldResults) {
+      const result = results[rank];
+      if (!result || positions.has(String(result.id))) continue;
+      const tokens = countTokens(result.payload.text || '');
+      if (rank > 0 && used + tokens > contextTokens) continue;
+      positions.set(String(result.id), merged.length + 1);
+      merged.push(result);
+      used += tokens;
+    }
+  }
+
+  const fieldSources = fieldResults.map(results => results
+    .map(result => positions.get(String(result.id)))
+    .filter(Boolean));
+  return { merged, fieldSources };
+}
+
+// Escape a property name for use in a JSON pointer
+const pointerSegment = (field) => field.replace(/~/g, '~0').replace(/\//g, '~1');
+
+/**
+ * Extract the fields of a JSON Schema from a document. Chunks are retrieved
+ * for each top-level field, the model fills in the schema from them and cites
+ * the chunk each value came from, and the result is validated against the schema.
+ * @param {string} documentId - Document to extract from
+ * @param {Object} schema - JSON Schema with type "object"
+ * @param {Object} caller - Request caller (req.caller)
+ * @param {Object} [options] - { generation, retrieval } from resolveGenerationOptions and resolveRetrievalOptions
+ * @returns {Promise<Object>} { documentId, data, valid, fields, errors, usage, generation }
+ */
+async function extractStructuredData(documentId, schema, caller, options = {}) {
+  const { fields, required, validate, fieldValidators } = compileSchema(schema);
+  const retrieval = options.retrieval || resolveRetrievalOptions();
+  const generation = options.generation || resolveGenerationOptions({ temperature: 0 });
+
+  const { documents, embedding, vectorCollection } = await resolveQueryEmbedding([documentId], caller);
+  await recordDocumentAccess(documentId);
+
+  const embeddings = retrieval.mode === 'keyword'
+    ? null
+    : getEmbeddingProvider({ provider: embedding.provider, model: embedding.model, apiKey: caller.apiKey });
+  const llm = getLlmProvider({ provider: generation.provider, model: generation.model, apiKey: caller.apiKey });
+
+  // Retrieve the chunks most likely to hold each field
+  await getVectorStore().ensureCollection(vectorCollection, { size: embedding.dimension });
+  const fieldResults = [];
+  for (const field of fields) {
+    fieldResults.push(await retrieveChunks(fieldQuery(field, schema.properties[field]), {
+      documents,
+      vectorCollection,
+      embeddings,
+      llm,
+      retrieval,
+      limit: FIELD_CHUNK_LIMIT
+    }));
+  }
+  const { merged, fieldSources } = mergeFieldResults(fieldResults, retrieval.contextTokens);
+
+  const context = merged
+    .map((result, index) => `[${index + 1}] ${result.payload.text}`)
+    .join('\n\n');
+  const fieldHints = fields
+    .map((field, index) => `- ${field}: ${fieldSources[index].map(number => `[${number}]`).join(', ') || 'no matching context'}`)
+    .join('\n    ');
+
+  const prompt = `
+    Extract the fields described by the JSON Schema below from the numbered context information.
+    Use only the context; do not guess. Reply with only a JSON object with one key per field,
+    where each value is {"value": <value conforming to the field's schema>, "source": <number of
+    the context piece the value came from>}. Use {"value": null, "source": null} for fields the
+    context does not contain.
+
+    JSON Schema:
+    ${JSON.stringify(schema)}
+
+    Context most likely to contain each field:
+    ${fieldHints}
+
+    Context information:
+    ${context}
+
+    JSON:`;
+
+  const result = await llm.generate(prompt, generation.params);
+
+  let extracted;
+  try {
+    const json = result.text.match(/\{[\s\S]*\}/);
+    if (!json) throw new Error('No JSON object found in the reply');
+    extracted = JSON.parse(json[0]);
+  } catch (parseError) {
+    const error = new Error(`The model did not return valid JSON: ${parseError.message}`);
+    error.code = 'EXTRACTION_FAILED';
+    throw error;
+  }
+
+  // Unwrap { value, source } pairs; fields the document doesn't contain are left out of the data
+  const data = {};
+  const sources = {};
+  for (const field of fields) {
+    const entry = extracted[field];
+    const wrapped = entry !== null && typeof entry === 'object' && !Array.isArray(entry) && 'value' in entry;
+    const value = wrapped ? entry.value : entry;
+    const number = wrapped ? Number(entry.source) : NaN;
+
+    if (value !== null && value !== undefined) {
+      data[field] = value;
+    }
+    sources[field] = Number.isInteger(number) && number >= 1 && number <= merged.length
+      ? toSource(merged[number - 1], number - 1)
+      : null;
+  }
+
+  const errors = [];
+  for (const field of fields) {
+    const path = `/${pointerSegment(field)}`;
+    if (!(field in data)) {
+      if (required.includes(field)) {
+        errors.push({ field, path, message: 'was not found in the document' });
+      }
+    } else if (!fieldValidators[field](data[field])) {
+      const [error] = fieldValidators[field].errors;
+      errors.push({ field, path: `${path}${error.instancePath}`, message: error.message });
+    }
+  }
+  // Keywords on the object itself, such as anyOf, are checked once the fields pass
+  if (errors.length === 0 && !validate(data)) {
+    const [error] = validate.errors;
+    errors.push({ field: null, path: error.instancePath || '/', message: error.message });
+  }
+  const valid = errors.length === 0;
+
+  const fieldReports = {};
+  for (const field of fields) {
+    const fieldErrors = errors.filter(error => error.field === field);
+    fieldReports[field] = {
+      value: field in data ? data[field] : null,
+      valid: fieldErrors.length === 0,
+      errors: fieldErrors.map(({ path, message }) => ({ path, message })),
+      source: sources[field]
+    };
+  }
+
+  return {
+    documentId,
+    data,
+    valid,
+    fields: fieldReports,
+    errors,
+    usage: result.usage,
+    generation: { provider: llm.name, model: llm.model, ...generation.params }
+  };
+}
+
+module.exports = {
+  compileSchema,
+  extractStructuredData
+};
@@ -0,0 +1,584 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const { getVectorStore, scrollAll, DEFAULT_VECTOR_SIZE } = require('../utils/vectorStore');
+const { encryptSecret, decryptSecret, isVaultConfigured } = require('../utils/keyVault');
+const { WORKSPACE_ROLES, callerFromApiKey } = require('../utils/ownership');
+require('dotenv').config();
+
+/**
+ * Users, workspaces and access tokens. Records are stored as points with a dummy
+ * vector, like document metadata and sessions, so they live in whichever vector
+ * store is configured. Access tokens authenticate callers to this backend; the
+ * Google key a user's requests are made with is kept in their key vault.
+ */
+
+const USER_COLLECTION = 'users';
+const WORKSPACE_COLLECTION = 'workspaces';
+const TOKEN_COLLECTION = 'access_tokens';
+
+// Providers whose keys can be stored in a user's vault
+const VAULT_PROVIDERS = ['gemini'];
+
+// Days an access token stays valid, unless a shorter lifetime is requested
+const ACCESS_TOKEN_TTL_DAYS = parseInt(process.env.ACCESS_TOKEN_TTL_DAYS, 10) || 30;
+const MAX_TOKEN_TTL_DAYS = 365;
+
+// How stale a token's lastUsedAt may get before it is written again
+const TOKEN_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+const TOKEN_PREFIX = 'pcb_';
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9_.-]{2,63}$/;
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+const scrypt = promisify(crypto.scrypt);
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Qdrant only accepts unsigned integers or UUIDs as point IDs. Users and workspaces
+// are stored under their own UUID and tokens under a UUID made from 128 bits of a
+// hash of the key, so two records never share a point and overwrite each other.
+const toPointId = (key) => {
+  if (UUID_PATTERN.test(key)) return key.toLowerCase();
+  const hex = crypto.createHash('sha256').update(key).digest('hex');
+  return `${hex.substring(0, 8)}-${hex.substring(8, 12)}-${hex.substring(12, 16)}-${hex.substring(16, 20)}-${hex.substring(20, 32)}`;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const identityError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Whether callers may still authenticate with only a Google key in x-api-key
+const allowsApiKeyAuth = () => process.env.LEGACY_API_KEY_AUTH !== 'false';
+
+async function savePoint(collectionName, key, payload) {
+  await getVectorStore().ensureCollection(collectionName);
+  await getVectorStore().upsert(collectionName, {
+    points: [{ id: toPointId(key), vector: new Array(DEFAULT_VECTOR_SIZE).fill(0), payload }]
+  });
+  return payload;
+}
+
+// Read the point stored under a key, checking the payload field it was keyed by
+// so a point ID collision never returns someone else's record
+async function loadPoint(collectionName, key, field) {
+  await getVectorStore().ensureCollection(collectionName);
+  const points = await getVectorStore().retrieve(collectionName, { ids: [toPointId(key)] });
+  const point = points && points[0];
+  return point && point.payload && point.payload[field] === key ? point.payload : null;
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Public view of a user, without the password hash or encrypted keys
+function describeUser(user) {
+  return {
+    userId: user.userId,
+    username: user.username,
+    defaultWorkspaceId: user.defaultWorkspaceId,
+    createdAt: user.createdAt,
+    providerKeys: Object.entries(user.providerKeys || {}).map(([provider, entry]) => ({
+      provider,
+      last4: entry.last4,
+      updatedAt: entry.updatedAt
+    }))
+  };
+}
+
+// Public view of an access token; the token itself is only ever returned when issued
+function describeToken(record) {
+  const { tokenHash, ...details } = record;
+  return details;
+}
+
+// Get a user by ID, or null if it doesn't exist
+function getUser(userId) {
+  return loadPoint(USER_COLLECTION, userId, 'userId');
+}
+
+async function findUserByUsername(username) {
+  await getVectorStore().ensureCollection(USER_COLLECTION);
+  const points = await scrollAll(USER_COLLECTION, {
+    filter: { must: [{ key: 'username', match: { value: username } }] }
+  });
+  return points.length > 0 ? points[0].payload : null;
+}
+
+// Get a workspace by ID, or null if it doesn't exist
+function getWorkspace(workspaceId) {
+  return loadPoint(WORKSPACE_COLLECTION, workspaceId, 'workspaceId');
+}
+
+// A user's role in a workspace, or null if they aren't a member
+const getMemberRole = (workspace, userId) => {
+  const member = workspace.members.find(entry => entry.userId === userId);
+  return member ? member.role : null;
+};
+
+// memberIds mirrors members so membership can be matched by a store filter
+const saveWorkspace = (workspace) => savePoint(WORKSPACE_COLLECTION, workspace.workspaceId, {
+  ...workspace,
+  memberIds: workspace.members.map(member => member.userId),
+  updatedAt: new Date().toISOString()
+});
+
+const checkWorkspaceName = (name) => {
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+    throw identityError('INVALID_WORKSPACE_DETAILS', 'name must be a string of 1 to 100 characters');
+  }
+  return name.trim();
+};
+
+const checkRole = (role) => {
+  if (!WORKSPACE_ROLES.includes(role)) {
+    throw identityError('INVALID_WORKSPACE_DETAILS', `role must be one of: ${WORKSPACE_ROLES.join(', ')}`);
+  }
+  return role;
+};
+
+/**
+ * Create a workspace with a user as its owner
+ * @param {string} userId - Owner
+ * @param {Object} [options] - { name }
+ * @returns {Promise<Object>} Workspace
+ */
+async function createWorkspace(userId, { name = 'Personal' } = {}) {
+  const now = new Date().toISOString();
+  return saveWorkspace({
+    workspaceId: uuidv4(),
+    name: checkWorkspaceName(name),
+    createdBy: userId,
+    members: [{ userId, role: 'owner', addedAt: now }],
+    createdAt: now
+  });
+}
+
+// Short view of a workspace for one of its members
+const summarizeWorkspace = (workspace, userId) => ({
+  workspaceId: workspace.workspaceId,
+  name: workspace.name,
+  role: getMemberRole(workspace, userId),
+  memberCount: workspace.members.length,
+  createdAt: workspace.createdAt
+});
+
+/**
+ * Workspaces a user belongs to
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} { workspaceId, name, role, memberCount, createdAt }, oldest first
+ */
+async function listWorkspaces(userId) {
+  await getVectorStore().ensureCollection(WORKSPACE_COLLECTION);
+  const points = await scrollAll(WORKSPACE_COLLECTION, {
+    filter: { must: [{ key: 'memberIds', match: { value: userId } }] }
+  });
+  return points
+    .map(point => summarizeWorkspace(point.payload, userId))
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * Public view of a workspace for one of its members, with member usernames
+ * @param {Object} workspace - Workspace
+ * @param {string} userId - Member the view is for
+ * @returns {Promise<Object>} { workspaceId, name, role, members, createdAt, updatedAt }
+ */
+async function describeWorkspace(workspace, userId) {
+  const members = await Promise.all(workspace.members.map(async (member) => {
+    const user = await getUser(member.userId);
+    return { ...member, username: user ? user.username : null };
+  }));
+  return {
+    workspaceId: workspace.workspaceId,
+    name: workspace.name,
+    role: getMemberRole(workspace, userId),
+    members,
+    createdAt: workspace.createdAt,
+    updatedAt: workspace.updatedAt
+  };
+}
+
+/**
+ * Resolve a workspace in which a user holds at least the given role
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - User ID
+ * @param {string} [role] - Least role required, defaults to 'viewer'
+ * @returns {Promise<Object>} Workspace
+ * @throws WORKSPACE_NOT_FOUND, WORKSPACE_ACCESS_DENIED if the user isn't a member,
+ *   INSUFFICIENT_ROLE if their role is too low
+ */
+async function authorizeWorkspace(workspaceId, userId, role = 'viewer') {
+  const workspace = workspaceId ? await getWorkspace(workspaceId) : null;
+  if (!workspace) {
+    throw identityError('WORKSPACE_NOT_FOUND', `Workspace ${workspaceId} not found`);
+  }
+  const memberRole = getMemberRole(workspace, userId);
+  if (!memberRole) {
+    throw identityError('WORKSPACE_ACCESS_DENIED', `Access to workspace ${workspaceId} is not allowed`);
+  }
+  if (WORKSPACE_ROLES.indexOf(memberRole) < WORKSPACE_ROLES.indexOf(role)) {
+    throw identityError('INSUFFICIENT_ROLE', `This requires the ${role} role in workspace ${workspaceId}`);
+  }
+  return workspace;
+}
+
+// Refuse changes that would leave a workspace without an owner
+const checkOwnerRemains = (workspace, members) => {
+  if (!members.some(member => member.role === 'owner')) {
+    throw identityError('LAST_OWNER', `Workspace ${workspace.workspaceId} must keep at least one owner`);
+  }
+};
+
+/**
+ * Rename a workspace
+ * @param {Object} workspace - Workspace, as resolved by authorizeWorkspace
+ * @param {Object} changes - { name }
+ * @returns {Promise<Object>} Updated workspace
+ */
+function updateWorkspace(workspace, { name }) {
+  return saveWorkspace({ ...workspace, name: checkWorkspaceName(name) });
+}
+
+/**
+ * Add a user to a workspace by username
+ * @param {Object} workspace - Workspace, as resolved by authorizeWorkspace
+ * @param {Object} member - { username, role }, role defaults to 'viewer'
+ * @returns {Promise<Object>} Updated workspace
+ * @throws USER_NOT_FOUND, MEMBER_EXISTS
+ */
+async function addWorkspaceMember(workspace, { username, role = 'viewer' } = {}) {
+  checkRole(role);
+  const user = typeof username === 'string' ? await findUserByUsername(username.trim().toLowerCase()) : null;
+  if (!user) {
+    throw identityError('USER_NOT_FOUND', `User ${username} not found`);
+  }
+  if (getMemberRole(workspace, user.userId)) {
+    throw identityError('MEMBER_EXISTS', `${user.username} is already a member of this workspace`);
+  }
+  return saveWorkspace({
+    ...workspace,
+    members: [...workspace.members, { userId: user.userId, role, addedAt: new Date().toISOString() }]
+  });
+}
+
+/**
+ * Change a member's role
+ * @param {Object} workspace - Workspace, as resolved by authorizeWorkspace
+ * @param {string} userId - Member to change
+ * @param {string} role - New role
+ * @returns {Promise<Object>} Updated workspace
+ * @throws MEMBER_NOT_FOUND, LAST_OWNER
+ */
+async function updateWorkspaceMember(workspace, userId, role) {
+  checkRole(role);
+  if (!getMemberRole(workspace, userId)) {
+    throw identityError('MEMBER_NOT_FOUND', `User ${userId} is not a member of this workspace`);
+  }
+  const members = workspace.members.map(member => (member.userId === userId ? { ...member, role } : member));
+  checkOwnerRemains(workspace, members);
+  return saveWorkspace({ ...workspace, members });
+}
+
+/**
+ * Remove a member from a workspace. A user can't leave the personal workspace
+ * created with their account, since requests without X-Workspace-Id act in it.
+ * @param {Object} workspace - Workspace, as resolved by authorizeWorkspace
+ * @param {string} userId - Member to remove
+ * @returns {Promise<Object>} Updated workspace
+ * @throws MEMBER_NOT_FOUND, LAST_OWNER, DEFAULT_WORKSPACE
+ */
+async function removeWorkspaceMember(workspace, userId) {
+  if (!getMemberRole(workspace, userId)) {
+    throw identityError('MEMBER_NOT_FOUND', `User ${userId} is not a member of this workspace`);
+  }
+  const user = await getUser(userId);
+  if (user && user.defaultWorkspaceId === workspace.workspaceId) {
+    throw identityError('DEFAULT_WORKSPACE', 'A user cannot be removed from their default workspace');
+  }
+  const members = workspace.members.filter(member => member.userId !== userId);
+  checkOwnerRemains(workspace, members);
+  return saveWorkspace({ ...workspace, members });
+}
+
+/**
+ * Issue a new access token for a user. Only a hash is stored, so the token
+ * can't be shown again.
+ * @param {string} userId - User the token authenticates
+ * @param {Object} [options] - { name, expiresInDays }
+ * @returns {Promise<Object>} { token, ...token details }
+ */
+async function issueAccessToken(userId, { name, expiresInDays } = {}) {
+  const days = expiresInDays === undefined || expiresInDays === null || expiresInDays === ''
+    ? ACCESS_TOKEN_TTL_DAYS
+    : Number(expiresInDays);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_TOKEN_TTL_DAYS) {
+    throw identityError('INVALID_TOKEN_OPTIONS', `expiresInDays must be an integer between 1 and ${MAX_TOKEN_TTL_DAYS}`);
+  }
+  if (name !== undefined && name !== null && (typeof name !== 'string' || name.length > 100)) {
+    throw identityError('INVALID_TOKEN_OPTIONS', 'name must be a string of at most 100 characters');
+  }
+
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const now = Date.now();
+  const record = {
+    tokenId: uuidv4(),
+    userId,
+    name: name || null,
+    tokenHash: hashToken(token),
+    prefix: token.substring(0, TOKEN_PREFIX.length + 6),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + days * ONE_DAY_MS).toISOString(),
+    lastUsedAt: null
+  };
+  await savePoint(TOKEN_COLLECTION, record.tokenHash, record);
+  return { token, ...describeToken(record) };
+}
+
+/**
+ * A user's access tokens, newest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} Token details
+ */
+async function listAccessTokens(userId) {
+  await getVectorStore().ensureCollection(TOKEN_COLLECTION);
+  const points = await scrollAll(TOKEN_COLLECTION, {
+    filter: { must: [{ key: 'userId', match: { value: userId } }] }
+  });
+  return points
+    .map(point => describeToken(point.payload))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Revoke one of a user's access tokens
+ * @param {string} userId - User ID
+ * @param {string} tokenId - Token to revoke
+ * @throws TOKEN_NOT_FOUND if the user has no such token
+ */
+async function revokeAccessToken(userId, tokenId) {
+  await getVectorStore().ensureCollection(TOKEN_COLLECTION);
+  const filter = {
+    must: [
+      { key: 'userId', match: { value: userId } },
+      { key: 'tokenId', match: { value: tokenId } }
+    ]
+  };
+  const points = await scrollAll(TOKEN_COLLECTION, { filter });
+  if (points.length === 0) {
+    throw identityError('TOKEN_NOT_FOUND', `Token ${tokenId} not found`);
+  }
+  await getVectorStore().delete(TOKEN_COLLECTION, { filter });
+  return { success: true, message: 'Token revoked successfully' };
+}
+
+/**
+ * Resolve the user an access token belongs to
+ * @param {string} token - Token from the Authorization header
+ * @returns {Promise<Object>} User
+ * @throws INVALID_TOKEN if the token is unknown, revoked or expired
+ */
+async function verifyAccessToken(token) {
+  const invalid = () => identityError('INVALID_TOKEN', 'Access token is invalid or expired');
+  if (!token || !token.startsWith(TOKEN_PREFIX)) throw invalid();
+
+  const tokenHash = hashToken(token);
+  const record = await loadPoint(TOKEN_COLLECTION, tokenHash, 'tokenHash');
+  if (!record || new Date(record.expiresAt).getTime() <= Date.now()) throw invalid();
+
+  const user = await getUser(record.userId);
+  if (!user) throw invalid();
+
+  if (!record.lastUsedAt || Date.now() - new Date(record.lastUsedAt).getTime() > TOKEN_TOUCH_INTERVAL_MS) {
+    try {
+      await getVectorStore().setPayload(TOKEN_COLLECTION, {
+        payload: { lastUsedAt: new Date().toISOString() },
+        points: [toPointId(tokenHash)]
+      });
+    } catch (error) {
+      console.error('Error recording token use:', error);
+    }
+  }
+  return user;
+}
+
+/**
+ * Create a user with a personal workspace and a first access token
+ * @param {Object} details - { username, password }
+ * @returns {Promise<Object>} { user, workspace, token }
+ */
+async function registerUser({ username, password } = {}) {
+  if (process.env.ALLOW_REGISTRATION === 'false') {
+    throw identityError('REGISTRATION_DISABLED', 'Registration is disabled on this server');
+  }
+  const normalized = typeof username === 'string' ? username.trim().toLowerCase() : '';
+  if (!USERNAME_PATTERN.test(normalized)) {
+    throw identityError('INVALID_ACCOUNT_DETAILS', 'username must be 3 to 64 letters, digits, ".", "_" or "-"');
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw identityError('INVALID_ACCOUNT_DETAILS', `password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (await findUserByUsername(normalized)) {
+    throw identityError('USERNAME_TAKEN', `Username ${normalized} is already taken`);
+  }
+
+  const userId = uuidv4();
+  const workspace = await createWorkspace(userId);
+  const user = await savePoint(USER_COLLECTION, userId, {
+    userId,
+    username: normalized,
+    passwordHash: await hashPassword(password),
+    defaultWorkspaceId: workspace.workspaceId,
+    providerKeys: {},
+    createdAt: new Date().toISOString()
+  });
+  const token = await issueAccessToken(userId, { name: 'registration' });
+  return { user: describeUser(user), workspace: summarizeWorkspace(workspace, userId), token };
+}
+
+/**
+ * Check a username and password and issue a new access token
+ * @param {Object} credentials - { username, password, tokenName, expiresInDays }
+ * @returns {Promise<Object>} { user, token }
+ * @throws INVALID_CREDENTIALS if the username or password is wrong
+ */
+async function loginUser({ username, password, tokenName, expiresInDays } = {}) {
+  const normalized = typeof username === 'string' ? username.trim().toLowerCase() : '';
+  const user = normalized ? await findUserByUsername(normalized) : null;
+  const valid = user && typeof password === 'string' && await verifyPassword(password, user.passwordHash);
+  if (!valid) {
+    throw identityError('INVALID_CREDENTIALS', 'Username or password is incorrect');
+  }
+  const token = await issueAccessToken(user.userId, { name: tokenName || 'login', expiresInDays });
+  return { user: describeUser(user), token };
+}
+
+const checkVaultProvider = (provider) => {
+  if (!VAULT_PROVIDERS.includes(provider)) {
+    throw identityError('UNKNOWN_KEY_PROVIDER', `provider must be one of: ${VAULT_PROVIDERS.join(', ')}`);
+  }
+};
+
+/**
+ * Store a provider API key in a user's vault, encrypted with KEY_VAULT_SECRET
+ * @param {string} userId - User ID
+ * @param {string} provider - Provider the key is for, e.g. 'gemini'
+ * @param {string} apiKey - Key to store
+ * @returns {Promise<Object>} Public view of the user
+ */
+async function setProviderKey(userId, provider, apiKey) {
+  checkVaultProvider(provider);
+  if (typeof apiKey !== 'string' || !apiKey.trim()) {
+    throw identityError('INVALID_ACCOUNT_DETAILS', 'apiKey is required');
+  }
+  const user = await getUser(userId);
+  const entry = {
+    ...encryptSecret(apiKey.trim(), `${userId}:${provider}`),
+    last4: apiKey.trim().slice(-4),
+    updatedAt: new Date().toISOString()
+  };
+  const providerKeys = { ...user.providerKeys, [provider]: entry };
+  await getVectorStore().setPayload(USER_COLLECTION, { payload: { providerKeys }, points: [toPointId(userId)] });
+  return describeUser({ ...user, providerKeys });
+}
+
+/**
+ * Remove a provider API key from a user's vault
+ * @param {string} userId - User ID
+ * @param {string} provider - Provider the key is for
+ * @returns {Promise<Object>} Public view of the user
+ */
+async function deleteProviderKey(userId, provider) {
+  checkVaultProvider(provider);
+  const user = await getUser(userId);
+  const { [provider]: removed, ...providerKeys } = user.providerKeys || {};
+  await getVectorStore().setPayload(USER_COLLECTION, { payload: { providerKeys }, points: [toPointId(userId)] });
+  return describeUser({ ...user, providerKeys });
+}
+
+// Decrypt a user's stored key for a provider; a key that can't be read is
+// treated as missing, so the provider reports it as not provided
+function readProviderKey(user, provider) {
+  const entry = user.providerKeys && user.providerKeys[provider];
+  if (!entry) return null;
+  if (!isVaultConfigured()) {
+    console.error(`User ${user.userId} has a stored ${provider} key but KEY_VAULT_SECRET is not set`);
+    return null;
+  }
+  try {
+    return decryptSecret(entry, `${user.userId}:${provider}`);
+  } catch (error) {
+    console.error(`Error reading the stored ${provider} key of user ${user.userId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Work out who a request comes from. An access token identifies a user acting in
+ * one of their workspaces, with their stored Google key unless the request sends
+ * one in x-api-key. Without a token, the Google key alone identifies a legacy
+ * caller, unless LEGACY_API_KEY_AUTH is false.
+ * @param {Object} credentials - { token, apiKey, workspaceId } read from the request headers
+ * @returns {Promise<Object>} Caller ({ userId, workspaceId, role, apiKeyHash, apiKey })
+ * @throws AUTH_REQUIRED, INVALID_TOKEN, WORKSPACE_NOT_FOUND or WORKSPACE_ACCESS_DENIED
+ */
+async function resolveCaller({ token, apiKey, workspaceId } = {}) {
+  if (token) {
+    const user = await verifyAccessToken(token);
+    const workspace = await authorizeWorkspace(workspaceId || user.defaultWorkspaceId, user.userId);
+    return {
+      userId: user.userId,
+      workspaceId: workspace.workspaceId,
+      role: getMemberRole(workspace, user.userId),
+      apiKeyHash: null,
+      apiKey: apiKey || readProviderKey(user, 'gemini')
+    };
+  }
+
+  if (apiKey && allowsApiKeyAuth()) {
+    return callerFromApiKey(apiKey);
+  }
+  throw identityError('AUTH_REQUIRED', allowsApiKeyAuth()
+    ? 'An access token or API key is required'
+    : 'An access token is required');
+}
+
+module.exports = {
+  VAULT_PROVIDERS,
+  registerUser,
+  loginUser,
+  getUser,
+  describeUser,
+  getWorkspace,
+  createWorkspace,
+  listWorkspaces,
+  describeWorkspace,
+  authorizeWorkspace,
+  updateWorkspace,
+  addWorkspaceMember,
+  updateWorkspaceMember,
+  removeWorkspaceMember,
+  issueAccessToken,
+  listAccessTokens,
+  revokeAccessToken,
+  verifyAccessToken,
+  setProviderKey,
+  deleteProviderKey,
+  resolveCaller
+};
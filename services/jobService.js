@@ -0,0 +1,75 @@
+const { createInProcessJobQueue } = require('../utils/jobQueue');
+const { ownerKey } = require('../utils/ownership');
+require('dotenv').config();
+
+let jobQueue = null;
+
+const jobNotFound = (jobId) => {
+  const error = new Error(`Job ${jobId} not found`);
+  error.code = 'JOB_NOT_FOUND';
+  return error;
+};
+
+/**
+ * Get the active job queue, creating the in-process queue on first use
+ * @returns {Object} Job queue
+ */
+function getJobQueue() {
+  if (!jobQueue) {
+    jobQueue = createInProcessJobQueue({
+      concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 1
+    });
+  }
+  return jobQueue;
+}
+
+/**
+ * Replace the active job queue with a custom implementation
+ * @param {Object} queue - Object implementing enqueue, get, list and cancel
+ */
+function setJobQueue(queue) {
+  jobQueue = queue;
+}
+
+// Queue a document ingestion job owned by the caller
+// run({ signal, report }) processes the document and resolves with the job result
+function enqueueIngestion(caller, { description, run, cleanup }) {
+  return getJobQueue().enqueue({
+    type: 'ingestion',
+    owner: ownerKey(caller),
+    description,
+    run,
+    cleanup
+  });
+}
+
+// Get a job, only if it belongs to the caller
+async function getJob(jobId, caller) {
+  const job = await getJobQueue().get(jobId);
+  if (!job || job.owner !== ownerKey(caller)) {
+    throw jobNotFound(jobId);
+  }
+  const { owner, ...view } = job;
+  return view;
+}
+
+// List the caller's recent jobs, newest first
+async function listJobs(caller) {
+  const jobs = await getJobQueue().list(ownerKey(caller));
+  return jobs.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+// Cancel a queued or running job
+async function cancelJob(jobId, caller) {
+  await getJob(jobId, caller);
+  return getJobQueue().cancel(jobId);
+}
+
+module.exports = {
+  getJobQueue,
+  setJobQueue,
+  enqueueIngestion,
+  getJob,
+  listJobs,
+  cancelJob
+};
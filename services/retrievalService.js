@@ -0,0 +1,335 @@
+const { getVectorStore, scrollAll } = require('../utils/vectorStore');
+const { createBm25Index, tokenize } = require('../utils/bm25');
+const { RERANKERS, getReranker } = require('../utils/rerankers');
+const { countTokens } = require('../utils/textSplitter');
+require('dotenv').config();
+
+const RETRIEVAL_MODES = ['vector', 'keyword', 'hybrid'];
+
+// Reciprocal rank fusion constant; 60 is the value from the original RRF paper
+const RRF_K = 60;
+
+// Each retriever returns this many times the final limit, so fusion, reranking
+// and diversification have candidates to choose from
+const CANDIDATE_MULTIPLIER = 4;
+const MAX_CANDIDATES = 50;
+
+// Server-side ceilings for per-query retrieval settings
+const MAX_TOP_K = parseInt(process.env.RETRIEVAL_MAX_TOP_K, 10) || 20;
+const MAX_CONTEXT_TOKENS = parseInt(process.env.RETRIEVAL_MAX_CONTEXT_TOKENS, 10) || 16000;
+
+// Without per-request options retrieval stays plain vector search; hybrid mode,
+// reranking and MMR are opt-in, per request or through the server settings
+const DEFAULTS = {
+  mode: process.env.RETRIEVAL_MODE || 'vector',
+  contextTokens: parseInt(process.env.RETRIEVAL_CONTEXT_TOKENS, 10) || 6000,
+  rerank: process.env.RERANKER || 'none',
+  mmr: process.env.RETRIEVAL_MMR === 'true',
+  mmrLambda: 0.7
+};
+
+// Number of per-document keyword indexes kept in memory
+const INDEX_CACHE_SIZE = parseInt(process.env.LEXICAL_INDEX_CACHE_SIZE, 10) || 50;
+
+// Keyword indexes keyed by collection, document and revision; Map order doubles as LRU order
+const indexCache = new Map();
+
+const invalidOptions = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_RETRIEVAL_OPTIONS';
+  return error;
+};
+
+/**
+ * Validate the retrieval options of a query against the server limits
+ * @param {Object} [options] - { mode, topK, minScore, contextTokens, rerank, mmr, mmrLambda }
+ * @returns {Object} Options with defaults applied; topK is null when the caller leaves it to the server
+ */
+function resolveRetrievalOptions(options = {}) {
+  const mode = options.mode || DEFAULTS.mode;
+  if (!RETRIEVAL_MODES.includes(mode)) {
+    throw invalidOptions(`mode must be one of: ${RETRIEVAL_MODES.join(', ')}`);
+  }
+
+  const readNumber = (name, min, max, fallback) => {
+    const value = options[name];
+    if (value === undefined || value === null || value === '') {
+      return fallback;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < min || number > max) {
+      throw invalidOptions(`${name} must be a number between ${min} and ${max}`);
+    }
+    return number;
+  };
+
+  const topK = readNumber('topK', 1, MAX_TOP_K, null);
+  const contextTokens = readNumber('contextTokens', 100, MAX_CONTEXT_TOKENS, Math.min(DEFAULTS.contextTokens, MAX_CONTEXT_TOKENS));
+  if ((topK !== null && !Number.isInteger(topK)) || !Number.isInteger(contextTokens)) {
+    throw invalidOptions('topK and contextTokens must be integers');
+  }
+
+  const rerank = options.rerank || DEFAULTS.rerank;
+  if (!RERANKERS.includes(rerank)) {
+    throw invalidOptions(`rerank must be one of: ${RERANKERS.join(', ')}`);
+  }
+
+  let mmr = DEFAULTS.mmr;
+  if (options.mmr !== undefined && options.mmr !== null) {
+    if (![true, false, 'true', 'false'].includes(options.mmr)) {
+      throw invalidOptions('mmr must be true or false');
+    }
+    mmr = options.mmr === true || options.mmr === 'true';
+  }
+
+  return {
+    mode,
+    topK,
+    minScore: readNumber('minScore', 0, 1, null),
+    contextTokens,
+    rerank,
+    mmr,
+    mmrLambda: readNumber('mmrLambda', 0, 1, DEFAULTS.mmrLambda)
+  };
+}
+
+// Load every chunk of a document from the vector store
+function loadChunks(vectorCollection, documentId) {
+  return scrollAll(vectorCollection, {
+    filter: {
+      must: [
+        { key: 'documentId', match: { value: documentId } }
+      ]
+    }
+  });
+}
+
+// Get the keyword index of a document, building it from its chunks on first use.
+// A new revision gets a new cache key, so replaced documents are re-indexed.
+async function getKeywordIndex(document, vectorCollection) {
+  const key = `${vectorCollection}:${document.documentId}:${document.revision || 1}`;
+  if (indexCache.has(key)) {
+    const index = indexCache.get(key);
+    indexCache.delete(key);
+    indexCache.set(key, index);
+    return index;
+  }
+
+  const chunks = await loadChunks(vectorCollection, document.documentId);
+  const index = createBm25Index(chunks.map(point => ({
+    id: point.id,
+    text: point.payload.text,
+    payload: point.payload
+  })));
+
+  indexCache.set(key, index);
+  if (indexCache.size > INDEX_CACHE_SIZE) {
+    indexCache.delete(indexCache.keys().next().value);
+  }
+  return index;
+}
+
+// BM25 search across the selected documents
+async function keywordSearch(query, documents, vectorCollection, limit) {
+  const indexes = await Promise.all(documents.map(document => getKeywordIndex(document, vectorCollection)));
+  return indexes
+    .flatMap(index => index.search(query, limit))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ entry, score }) => ({ id: entry.id, score, payload: entry.payload }));
+}
+
+// Cosine similarity search across the selected documents
+async function vectorSearch(queryEmbedding, documentIds, vectorCollection, limit, minScore) {
+  const request = {
+    vector: queryEmbedding,
+    filter: {
+      must: [
+        { key: 'documentId', match: { any: documentIds } }
+      ]
+    },
+    limit
+  };
+  if (minScore !== null && minScore !== undefined) {
+    request.score_threshold = minScore;
+  }
+  return getVectorStore().search(vectorCollection, request);
+}
+
+// Merge ranked result lists with reciprocal rank fusion, recording which retrievers found each chunk
+function fuseResults(rankings, limit) {
+  const fused = new Map();
+  for (const [retriever, results] of Object.entries(rankings)) {
+    results.forEach((result, rank) => {
+      const key = String(result.id);
+      if (!fused.has(key)) {
+        fused.set(key, { id: result.id, payload: result.payload, score: 0, retrievers: [], scores: {} });
+      }
+      const item = fused.get(key);
+      item.score += 1 / (RRF_K + rank + 1);
+      item.retrievers.push(retriever);
+      item.scores[retriever] = result.score;
+    });
+  }
+  return Array.from(fused.values())
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// Share of distinct terms two chunks have in common (Jaccard similarity)
+function termOverlap(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const term of a) {
+    if (b.has(term)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+// Pick `limit` results by maximal marginal relevance: each pick balances its relevance
+// against its similarity to chunks already picked, so overlapping chunks don't crowd out others
+function diversify(results, limit, lambda) {
+  if (results.length <= 1) return results.slice(0, limit);
+
+  const topScore = results[0].score || 1;
+  const candidates = results.map(result => ({
+    result,
+    relevance: result.score / topScore,
+    terms: new Set(tokenize(result.payload.text))
+  }));
+
+  const selected = [];
+  while (selected.length < limit && candidates.length > 0) {
+    let bestIndex = 0;
+    let bestValue = -Infinity;
+    candidates.forEach((candidate, index) => {
+      const redundancy = selected.reduce((max, picked) => Math.max(max, termOverlap(candidate.terms, picked.terms)), 0);
+      const value = lambda * candidate.relevance - (1 - lambda) * redundancy;
+      if (value > bestValue) {
+        bestValue = value;
+        bestIndex = index;
+      }
+    });
+    selected.push(candidates.splice(bestIndex, 1)[0]);
+  }
+  return selected.map(candidate => candidate.result);
+}
+
+// Keep results in order until the context token budget is spent; the best result is always kept
+function applyContextBudget(results, contextTokens) {
+  const kept = [];
+  let used = 0;
+  for (const result of results) {
+    const tokens = countTokens(result.payload.text || '');
+    if (kept.length > 0 && used + tokens > contextTokens) break;
+    kept.push(result);
+    used += tokens;
+  }
+  return kept;
+}
+
+/**
+ * Retrieve the chunks most relevant to a query
+ * @param {string} query - Standalone query text
+ * @param {Object} options
+ * @param {Array<Object>} options.documents - Documents to search, each { documentId, revision }
+ * @param {string} options.vectorCollection - Collection holding the documents' chunks
+ * @param {Object} [options.embeddings] - Embedding provider for the query; required unless mode is 'keyword'
+ * @param {Object} [options.llm] - Generation provider, required for the 'llm' reranker
+ * @param {Object} options.retrieval - Options from resolveRetrievalOptions
+ * @param {number} options.limit - Number of chunks to return when retrieval.topK isn't set
+ * @param {AbortSignal} [options.signal] - Cancels reranking
+ * @returns {Promise<Array>} [{ id, score, payload, retrievers, scores, reranked }], best first;
+ *   reranked is set when a reranker was asked for, and false if it couldn't score the candidates
+ */
+async function retrieveChunks(query, { documents, vectorCollection, embeddings, llm, retrieval, limit, signal }) {
+  const { mode, minScore, rerank, mmr, mmrLambda, contextTokens } = retrieval;
+  const topK = retrieval.topK || limit;
+  const documentIds = documents.map(document => document.documentId);
+  const reranker = getReranker(rerank, { llm });
+
+  // Fusion, reranking and MMR all choose from a larger candidate set
+  const candidateLimit = mode === 'hybrid' || reranker || mmr
+    ? Math.min(topK * CANDIDATE_MULTIPLIER, Math.max(MAX_CANDIDATES, topK))
+    : topK;
+  const rankings = {};
+
+  // minScore is checked against resultRelevance below; pure vector search can apply it in the store
+  const vectorMinScore = mode === 'vector' && !reranker ? minScore : null;
+  if (mode !== 'keyword') {
+    const queryEmbedding = await embeddings.embedQuery(query);
+    rankings.vector = await vectorSearch(queryEmbedding, documentIds, vectorCollection, candidateLimit, vectorMinScore);
+  }
+  if (mode !== 'vector') {
+    rankings.keyword = await keywordSearch(query, documents, vectorCollection, candidateLimit);
+  }
+
+  let results = mode === 'hybrid'
+    ? fuseResults(rankings, candidateLimit)
+    : rankings[mode].map(result => ({
+      id: result.id,
+      payload: result.payload,
+      score: result.score,
+      retrievers: [mode],
+      scores: { [mode]: result.score }
+    }));
+
+  if (reranker && results.length > 0) {
+    const rerankScores = await reranker.rerank(query, results, { signal });
+    results = rerankScores
+      ? results
+        .map((result, index) => ({
+          ...result,
+          score: rerankScores[index],
+          scores: { ...result.scores, rerank: rerankScores[index] },
+          reranked: true
+        }))
+        .sort((a, b) => b.score - a.score)
+      : results.map(result => ({ ...result, reranked: false }));
+  }
+
+  // Keyword and fused scores aren't on a 0-1 scale, so every mode filters on the same relevance.
+  // Results a failed rerank left unscored are measured on their retrieval scores.
+  if (minScore !== null) {
+    results = results.filter(result => resultRelevance(result) >= minScore);
+  }
+
+  results = mmr ? diversify(results, topK, mmrLambda) : results.slice(0, topK);
+  return applyContextBudget(results, contextTokens);
+}
+
+// BM25 scores are unbounded; this score maps to a relevance of 0.5
+const KEYWORD_RELEVANCE_MIDPOINT = 5;
+
+// Relevance of a single result in [0, 1], from the most direct signal available:
+// the rerank score, else the cosine similarity, else the BM25 score squashed to 0-1.
+// minScore and the confidence estimate are both measured on this scale.
+function resultRelevance(result) {
+  const { rerank, vector, keyword } = result.scores || {};
+  if (rerank !== undefined) return rerank;
+  if (vector !== undefined) return Math.min(Math.max(vector, 0), 1);
+  if (keyword !== undefined) return keyword / (keyword + KEYWORD_RELEVANCE_MIDPOINT);
+  return 0;
+}
+
+/**
+ * Estimate how well the retrieved chunks cover a query, from their retrieval
+ * scores: mostly the best chunk's relevance, plus the average of the rest
+ * @param {Array} results - Results from retrieveChunks
+ * @returns {number} Confidence between 0 and 1, rounded to two decimals
+ */
+function estimateConfidence(results) {
+  if (!results || results.length === 0) return 0;
+  const relevances = results.map(resultRelevance);
+  const best = Math.max(...relevances);
+  const average = relevances.reduce((sum, value) => sum + value, 0) / relevances.length;
+  return Math.round((0.7 * best + 0.3 * average) * 100) / 100;
+}
+
+module.exports = {
+  RETRIEVAL_MODES,
+  resolveRetrievalOptions,
+  retrieveChunks,
+  estimateConfidence,
+  loadChunks
+};
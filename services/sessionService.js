@@ -0,0 +1,121 @@
+const { v4: uuidv4 } = require('uuid');
+const { getSessionStore } = require('../utils/sessionStore');
+const { ownerFields, ownerCondition, isOwnedBy } = require('../utils/ownership');
+require('dotenv').config();
+
+// Number of previous turns passed to the model with each follow-up question
+const MAX_HISTORY_TURNS = parseInt(process.env.SESSION_HISTORY_TURNS, 10) || 6;
+
+// Sessions in a shared workspace stay private to the member who started them
+const canUseSession = (session, caller) => isOwnedBy(session, caller) &&
+  (!session.workspaceId || session.ownerId === caller.userId);
+
+const sessionNotFound = (sessionId) => {
+  const error = new Error(`Session ${sessionId} not found`);
+  error.code = 'SESSION_NOT_FOUND';
+  return error;
+};
+
+// Create a new conversation session bound to one or more documents, or to a collection
+// target - { documentIds, collectionId }
+async function createSession(target, caller, { title } = {}) {
+  const { documentIds = null, collectionId = null } = target || {};
+  if ((!documentIds || documentIds.length === 0) && !collectionId) {
+    const error = new Error('Document ID is required');
+    error.code = 'DOCUMENT_ID_MISSING';
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  const session = {
+    sessionId: uuidv4(),
+    documentIds: collectionId ? null : documentIds,
+    collectionId,
+    ...ownerFields(caller),
+    title: title || null,
+    createdAt: now,
+    updatedAt: now,
+    turns: []
+  };
+
+  await getSessionStore().save(session);
+  return session;
+}
+
+// Get a session, only if it belongs to the caller
+async function getSession(sessionId, caller) {
+  const session = await getSessionStore().get(sessionId);
+  if (!canUseSession(session, caller)) {
+    throw sessionNotFound(sessionId);
+  }
+  return session;
+}
+
+// List sessions for the caller, optionally for a single document
+async function listSessions(caller, { documentId } = {}) {
+  const sessions = await getSessionStore().list(ownerCondition(caller), { documentId });
+  return sessions
+    .filter(session => canUseSession(session, caller))
+    .map(session => ({
+      sessionId: session.sessionId,
+      documentIds: session.documentIds,
+      collectionId: session.collectionId,
+      title: session.title,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+      turnCount: session.turns.length
+    }))
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+}
+
+// Move every session owned by a Google API key to the caller's workspace
+// Returns the number of sessions claimed
+async function claimLegacySessions(apiKeyHash, caller) {
+  const sessions = await getSessionStore().list({ key: 'apiKeyHash', match: { value: apiKeyHash } });
+  for (const session of sessions) {
+    await getSessionStore().save({ ...session, ...ownerFields(caller), apiKeyHash: null });
+  }
+  return sessions.length;
+}
+
+// Delete a session and its history
+async function deleteSession(sessionId, caller) {
+  await getSession(sessionId, caller);
+  await getSessionStore().delete(sessionId);
+  return { success: true, message: 'Session deleted successfully' };
+}
+
+// Append a question/answer turn to a session
+async function appendTurn(sessionId, caller, turn) {
+  const session = await getSession(sessionId, caller);
+  const now = new Date().toISOString();
+
+  session.turns.push({
+    query: turn.query,
+    standaloneQuery: turn.standaloneQuery || turn.query,
+    response: turn.response,
+    createdAt: now
+  });
+  session.updatedAt = now;
+
+  await getSessionStore().save(session);
+  return session;
+}
+
+// Get the most recent turns of a session to use as conversation history
+function getRecentHistory(session, maxTurns = MAX_HISTORY_TURNS) {
+  return session.turns.slice(-maxTurns).map(turn => ({
+    query: turn.query,
+    response: turn.response
+  }));
+}
+
+module.exports = {
+  createSession,
+  getSession,
+  listSessions,
+  deleteSession,
+  appendTurn,
+  getRecentHistory,
+  claimLegacySessions
+};
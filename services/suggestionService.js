@@ -0,0 +1,108 @@
+const { getLlmProvider, resolveGenerationOptions } = require('../utils/llmProviders');
+const { countTokens } = require('../utils/textSplitter');
+require('dotenv').config();
+
+// Number of questions suggested per document
+const SUGGESTED_QUESTION_COUNT = parseInt(process.env.SUGGESTED_QUESTION_COUNT, 10) || 5;
+
+// Chunks sampled from across the document, and the token budget they must fit
+const SAMPLE_CHUNKS = 8;
+const SAMPLE_TOKENS = 3000;
+
+// Longest suggested question kept, in characters
+const MAX_QUESTION_LENGTH = 200;
+
+/**
+ * Whether questions should be suggested for an upload
+ * @param {*} [value] - suggestQuestions field of the upload, defaults to SUGGEST_QUESTIONS
+ * @returns {boolean}
+ */
+function resolveSuggestQuestions(value) {
+  const resolved = value === undefined || value === null || value === ''
+    ? process.env.SUGGEST_QUESTIONS
+    : value;
+  return resolved === true || resolved === 'true';
+}
+
+// Pick chunks spread evenly from start to end, within the token budget
+function sampleChunks(texts) {
+  const step = Math.max(texts.length / SAMPLE_CHUNKS, 1);
+  const sample = [];
+  let used = 0;
+  for (let position = 0; position < texts.length && sample.length < SAMPLE_CHUNKS; position += step) {
+    const text = texts[Math.floor(position)];
+    const tokens = countTokens(text);
+    if (sample.length > 0 && used + tokens > SAMPLE_TOKENS) break;
+    sample.push(text);
+    used += tokens;
+  }
+  return sample;
+}
+
+// Read questions from a JSON array reply, or one question per line if the model ignored the format
+function parseQuestions(text) {
+  let questions;
+  const json = text.match(/\[[\s\S]*\]/);
+  try {
+    questions = json ? JSON.parse(json[0]) : null;
+  } catch (error) {
+    questions = null;
+  }
+  if (!Array.isArray(questions)) {
+    questions = text.split('\n').map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, ''));
+  }
+
+  const unique = new Set();
+  return questions
+    .filter(question => typeof question === 'string')
+    .map(question => question.trim())
+    .filter(question => question.endsWith('?') && question.length <= MAX_QUESTION_LENGTH)
+    .filter(question => {
+      const key = question.toLowerCase();
+      if (unique.has(key)) return false;
+      unique.add(key);
+      return true;
+    })
+    .slice(0, SUGGESTED_QUESTION_COUNT);
+}
+
+/**
+ * Suggest starter questions for a document from a sample of its chunks. This is
+ * an optional ingestion step, so failures are logged and give no suggestions.
+ * @param {string[]} texts - Chunk texts in document order
+ * @param {string} apiKey - Caller's API key, used by the generation provider
+ * @param {Object} [options] - { signal }
+ * @returns {Promise<string[]>} Suggested questions
+ */
+async function suggestQuestions(texts, apiKey, options = {}) {
+  const sample = sampleChunks(texts.filter(text => text && text.trim()));
+  if (sample.length === 0) return [];
+
+  try {
+    const generation = resolveGenerationOptions();
+    const llm = getLlmProvider({ provider: generation.provider, model: generation.model, apiKey });
+    const prompt = `
+    Below are excerpts from a document. Suggest ${SUGGESTED_QUESTION_COUNT} short questions a reader
+    could ask about this document that the excerpts answer. Write them in the language of the
+    document. Reply with only a JSON array of strings.
+
+    Excerpts:
+    ${sample.join('\n\n---\n\n')}
+
+    Questions:`;
+
+    const result = await llm.generate(prompt, { ...generation.params, maxOutputTokens: 512 }, { signal: options.signal });
+    return parseQuestions(result.text);
+  } catch (error) {
+    // Cancellation is reported by the caller once this step returns
+    if (!(options.signal && options.signal.aborted)) {
+      console.error('Error suggesting questions:', error);
+    }
+    return [];
+  }
+}
+
+module.exports = {
+  resolveSuggestQuestions,
+  suggestQuestions
+};
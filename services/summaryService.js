@@ -0,0 +1,208 @@
+const { getLlmProvider, resolveGenerationOptions } = require('../utils/llmProviders');
+const { countTokens } = require('../utils/textSplitter');
+const { getDocumentEmbedding, updateDocumentMetadata } = require('./documentService');
+const { authorizeDocument } = require('./accessService');
+const { hasRole } = require('../utils/ownership');
+const { loadChunks } = require('./retrievalService');
+require('dotenv').config();
+
+const SUMMARY_STYLES = ['short', 'detailed', 'bullets'];
+
+// Token budget of the text sent in one map or reduce prompt
+const SUMMARY_INPUT_TOKENS = parseInt(process.env.SUMMARY_INPUT_TOKENS, 10) || 6000;
+
+// Longest partial summary produced by the map and intermediate reduce steps
+const PARTIAL_OUTPUT_TOKENS = 512;
+
+// Number of map prompts sent to the model at the same time
+const SUMMARY_CONCURRENCY = parseInt(process.env.SUMMARY_CONCURRENCY, 10) || 3;
+
+const STYLE_INSTRUCTIONS = {
+  short: 'Write a summary of the whole document in one short paragraph of at most five sentences.',
+  detailed: 'Write a detailed summary of the whole document in several paragraphs, covering every main topic, key facts, figures and conclusions in the order they appear.',
+  bullets: 'Write a summary of the whole document as a bulleted list of its key points, one point per line starting with "- ".'
+};
+
+const invalidOptions = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_SUMMARY_OPTIONS';
+  return error;
+};
+
+/**
+ * Validate the style of a summary request
+ * @param {string} [style] - 'short', 'detailed' or 'bullets', defaults to 'short'
+ * @returns {string} Summary style
+ */
+function resolveSummaryStyle(style) {
+  const resolved = style || 'short';
+  if (!SUMMARY_STYLES.includes(resolved)) {
+    throw invalidOptions(`style must be one of: ${SUMMARY_STYLES.join(', ')}`);
+  }
+  return resolved;
+}
+
+// Group texts, in order, into batches that fit the input token budget.
+// A single text larger than the budget gets a batch of its own.
+function groupByTokens(texts) {
+  const groups = [];
+  let current = [];
+  let tokens = 0;
+  for (const text of texts) {
+    const size = countTokens(text);
+    if (current.length > 0 && tokens + size > SUMMARY_INPUT_TOKENS) {
+      groups.push(current);
+      current = [];
+      tokens = 0;
+    }
+    current.push(text);
+    tokens += size;
+  }
+  if (current.length > 0) {
+    groups.push(current);
+  }
+  return groups;
+}
+
+// Run fn over items with at most `concurrency` calls in flight, keeping the input order
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+// Add the token counts of one model call to a running total
+function addUsage(total, usage) {
+  if (!usage) return total;
+  return {
+    promptTokens: (total ? total.promptTokens : 0) + (usage.promptTokens || 0),
+    completionTokens: (total ? total.completionTokens : 0) + (usage.completionTokens || 0),
+    totalTokens: (total ? total.totalTokens : 0) + (usage.totalTokens || 0)
+  };
+}
+
+/**
+ * Summarize a whole document with map-reduce: every chunk is summarized in
+ * batches that fit the prompt (map), the partial summaries are combined until
+ * they fit a single prompt (reduce), and the final prompt applies the style.
+ * Results are cached per style in the document's metadata payload and reused
+ * until the document is replaced or another model is requested. Only editors can
+ * refresh or store a summary; viewers read the cache, and on a miss get a summary
+ * that isn't stored.
+ * @param {string} documentId - Document to summarize
+ * @param {Object} caller - Request caller (req.caller), whose API key is used by the generation provider
+ * @param {Object} [options] - { style, generation (from resolveGenerationOptions), refresh }
+ * @returns {Promise<Object>} { documentId, style, summary, cached, chunkCount, createdAt, generation, usage }
+ * @throws INSUFFICIENT_ROLE when a caller without the editor role asks for refresh
+ */
+async function summarizeDocument(documentId, caller, options = {}) {
+  const style = resolveSummaryStyle(options.style);
+  const generation = options.generation || resolveGenerationOptions();
+
+  const metadata = await authorizeDocument(documentId, caller, options.refresh ? 'editor' : 'viewer');
+
+  const llm = getLlmProvider({ provider: generation.provider, model: generation.model, apiKey: caller.apiKey });
+  const summaries = metadata.summaries || {};
+  const cached = summaries[style];
+  if (
+    !options.refresh &&
+    cached &&
+    cached.revision === (metadata.revision || 1) &&
+    cached.generation.provider === llm.name &&
+    cached.generation.model === llm.model
+  ) {
+    return { documentId, style, summary: cached.text, cached: true, chunkCount: cached.chunkCount, createdAt: cached.createdAt, generation: cached.generation, usage: null };
+  }
+
+  const { vectorCollection } = getDocumentEmbedding(metadata);
+  const chunks = (await loadChunks(vectorCollection, documentId))
+    .sort((a, b) => (a.payload.chunk || 0) - (b.payload.chunk || 0));
+  if (chunks.length === 0) {
+    const error = new Error(`Document ${documentId} has no stored text to summarize`);
+    error.code = 'DOCUMENT_EMPTY';
+    throw error;
+  }
+
+  const partialParams = { ...generation.params, maxOutputTokens: Math.min(generation.params.maxOutputTokens, PARTIAL_OUTPUT_TOKENS) };
+  let usage = null;
+
+  const summarizePart = async (texts) => {
+    const prompt = `
+    Summarize the following part of a longer document. Keep every key fact, name,
+    figure and conclusion, and leave out anything that is not in the text.
+
+    Text:
+    ${texts.join('\n\n')}
+
+    Summary:`;
+    const result = await llm.generate(prompt, partialParams);
+    usage = addUsage(usage, result.usage);
+    return result.text.trim();
+  };
+
+  // Map: summarize the chunks in prompt-sized batches
+  let partials = chunks.map(chunk => chunk.payload.text || '');
+  let groups = groupByTokens(partials);
+  const mapped = groups.length > 1;
+  if (mapped) {
+    console.log(`Summarizing ${chunks.length} chunks of ${documentId} in ${groups.length} parts`);
+    partials = await mapWithConcurrency(groups, SUMMARY_CONCURRENCY, summarizePart);
+
+    // Reduce: combine partial summaries until they fit a single prompt
+    groups = groupByTokens(partials);
+    while (groups.length > 1) {
+      partials = await mapWithConcurrency(groups, SUMMARY_CONCURRENCY, summarizePart);
+      const regrouped = groupByTokens(partials);
+      if (regrouped.length >= groups.length) {
+        // Summaries are no longer shrinking, so merge what is left in one prompt
+        groups = [partials];
+        break;
+      }
+      groups = regrouped;
+    }
+  }
+
+  const prompt = `
+    ${STYLE_INSTRUCTIONS[style]}
+    Use only the information below, which covers the document from start to end.
+
+    ${mapped ? 'Summaries of consecutive parts of the document' : 'Document'}:
+    ${groups[0].join('\n\n')}
+
+    Summary:`;
+  const result = await llm.generate(prompt, generation.params);
+  usage = addUsage(usage, result.usage);
+
+  const entry = {
+    text: result.text.trim(),
+    revision: metadata.revision || 1,
+    chunkCount: chunks.length,
+    createdAt: new Date().toISOString(),
+    generation: { provider: llm.name, model: llm.model }
+  };
+
+  // The cache lives in the document's metadata, which read-only members can't change
+  if (hasRole(caller, 'editor')) {
+    try {
+      await updateDocumentMetadata(documentId, { summaries: { ...summaries, [style]: entry } });
+    } catch (error) {
+      // The summary is still returned, it just has to be generated again next time
+      console.error('Error caching document summary:', error);
+    }
+  }
+
+  return { documentId, style, summary: entry.text, cached: false, chunkCount: entry.chunkCount, createdAt: entry.createdAt, generation: entry.generation, usage };
+}
+
+module.exports = {
+  SUMMARY_STYLES,
+  resolveSummaryStyle,
+  summarizeDocument
+};
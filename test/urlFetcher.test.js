@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isBlockedAddress } = require('../utils/urlFetcher');
+
+test('refuses loopback, private and link-local addresses', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '169.254.169.254', '192.168.1.1', '::1', '::ffff:127.0.0.1', 'fd00::1', 'fe80::1']) {
+    assert.strictEqual(isBlockedAddress(address), true, address);
+  }
+});
+
+test('refuses IPv6 prefixes that embed an IPv4 address', () => {
+  for (const address of [
+    '64:ff9b::7f00:1', // NAT64
+    '64:ff9b:1::a9fe:a9fe', // local-use NAT64
+    '2002:7f00:1::1', // 6to4
+    '2001:0:4136:e378:8000:63bf:3fff:fdd2' // Teredo
+  ]) {
+    assert.strictEqual(isBlockedAddress(address), true, address);
+  }
+});
+
+test('refuses site-local IPv6 addresses', () => {
+  assert.strictEqual(isBlockedAddress('fec0::1'), true);
+});
+
+test('allows public addresses', () => {
+  for (const address of ['8.8.8.8', '2606:4700::1111', '2001:4860:4860::8888']) {
+    assert.strictEqual(isBlockedAddress(address), false, address);
+  }
+});
+
+test('refuses anything that is not an IP address', () => {
+  assert.strictEqual(isBlockedAddress('localhost'), true);
+});
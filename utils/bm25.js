@@ -0,0 +1,89 @@
+/**
+ * BM25 lexical index over document chunks.
+ *
+ * Embeddings blur exact identifiers such as part numbers, clause IDs and names
+ * together; BM25 scores chunks by the query terms they actually contain.
+ */
+
+// Words, optionally joined by - _ . / so identifiers like "XJ-2041" or "4.2.1" stay whole
+const TERM_PATTERN = /[\p{L}\p{N}]+(?:[-_./][\p{L}\p{N}]+)*/gu;
+const PART_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Standard BM25 parameters: term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Split text into index terms. Compound identifiers are indexed both whole and
+ * by their parts, so "XJ-2041" matches queries for "XJ-2041" and for "2041".
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Lowercased terms
+ */
+function tokenize(text) {
+  const terms = [];
+  for (const match of (text || '').toLowerCase().matchAll(TERM_PATTERN)) {
+    const term = match[0];
+    terms.push(term);
+    const parts = term.match(PART_PATTERN);
+    if (parts.length > 1) {
+      terms.push(...parts);
+    }
+  }
+  return terms;
+}
+
+/**
+ * Build a BM25 index
+ * @param {Array<Object>} entries - Items to index, each { id, text, ...rest }
+ * @returns {Object} Index with search(query, limit) -> [{ entry, score }]
+ */
+function createBm25Index(entries) {
+  const postings = new Map();
+  const lengths = [];
+
+  entries.forEach((entry, position) => {
+    const terms = tokenize(entry.text);
+    lengths.push(terms.length);
+
+    const frequencies = new Map();
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+    for (const [term, frequency] of frequencies) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push({ position, frequency });
+    }
+  });
+
+  const count = entries.length;
+  const averageLength = count > 0 ? lengths.reduce((sum, length) => sum + length, 0) / count : 0;
+
+  return {
+    size: count,
+
+    search(query, limit = 10) {
+      const scores = new Map();
+      for (const term of new Set(tokenize(query))) {
+        const matches = postings.get(term);
+        if (!matches) continue;
+
+        const idf = Math.log(1 + (count - matches.length + 0.5) / (matches.length + 0.5));
+        for (const { position, frequency } of matches) {
+          const norm = averageLength > 0 ? lengths[position] / averageLength : 1;
+          const score = idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * norm));
+          scores.set(position, (scores.get(position) || 0) + score);
+        }
+      }
+
+      return Array.from(scores.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([position, score]) => ({ entry: entries[position], score }));
+    }
+  };
+}
+
+module.exports = {
+  tokenize,
+  createBm25Index
+};
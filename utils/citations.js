@@ -0,0 +1,35 @@
+// Matches inline citations such as [1], [2, 3] or [1][4]
+const CITATION_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+/**
+ * Find the source numbers cited inline in a generated answer and check them
+ * against the number of sources that were given to the model
+ * @param {string} text - Generated answer
+ * @param {number} sourceCount - Number of sources in the prompt, numbered from 1
+ * @returns {{cited: number[], invalid: number[], valid: boolean}} Citation check result
+ */
+function checkCitations(text, sourceCount) {
+  const cited = new Set();
+  const invalid = new Set();
+
+  for (const match of (text || '').matchAll(CITATION_PATTERN)) {
+    for (const part of match[1].split(',')) {
+      const number = parseInt(part.trim(), 10);
+      if (number >= 1 && number <= sourceCount) {
+        cited.add(number);
+      } else {
+        invalid.add(number);
+      }
+    }
+  }
+
+  return {
+    cited: Array.from(cited).sort((a, b) => a - b),
+    invalid: Array.from(invalid).sort((a, b) => a - b),
+    valid: invalid.size === 0
+  };
+}
+
+module.exports = {
+  checkCitations
+};
@@ -0,0 +1,235 @@
+const path = require('path');
+const cheerio = require("cheerio");
+const mammoth = require("mammoth");
+const { Document } = require("@langchain/core/documents");
+const { extractPdfPages } = require('./pdfExtractor');
+
+/**
+ * Document loaders turn uploaded bytes into the Document/metadata shape used
+ * by processDocument. Each loader is registered with:
+ *   type       - short type name stored in document metadata (e.g. 'pdf')
+ *   label      - human readable name used in messages
+ *   extensions - file extensions it handles, including the dot
+ *   mimeTypes  - MIME types it handles
+ *   defaultChunkStrategy - optional splitter strategy used when the request doesn't pick one
+ *   load(data, { source, originalFilename }) -> { docs, pages?, details? }
+ *     docs    - Array of Document
+ *     pages   - optional page boundaries ({ pageNumber, start, end }) of the text
+ *     details - optional document-level metadata stored with the document
+ */
+const loaders = [];
+
+/**
+ * Register a loader
+ * @param {Object} loader - Loader definition
+ */
+function registerLoader(loader) {
+  loaders.push(loader);
+}
+
+/**
+ * Find the loader for an uploaded file. The extension wins over the MIME type
+ * because browsers report generic types (e.g. application/octet-stream) for
+ * many text formats.
+ * @param {Object} file - { mimetype, filename }
+ * @returns {Object|null} Loader, or null when the type isn't supported
+ */
+function getLoader({ mimetype, filename } = {}) {
+  const extension = filename ? path.extname(filename).toLowerCase() : '';
+  if (extension) {
+    const byExtension = loaders.find(loader => loader.extensions.includes(extension));
+    if (byExtension) return byExtension;
+  }
+
+  const mimeType = (mimetype || '').split(';')[0].trim().toLowerCase();
+  return loaders.find(loader => loader.mimeTypes.includes(mimeType)) || null;
+}
+
+/**
+ * Find a loader by its type name
+ * @param {string} type - Loader type, e.g. 'pdf'
+ * @returns {Object|null} Loader
+ */
+function getLoaderByType(type) {
+  return loaders.find(loader => loader.type === type) || null;
+}
+
+/**
+ * List the file extensions of all registered loaders
+ * @returns {string[]} Supported extensions
+ */
+function getSupportedExtensions() {
+  return loaders.flatMap(loader => loader.extensions);
+}
+
+/**
+ * Extract readable text from an HTML page
+ * @param {string} html - HTML markup
+ * @returns {{text: string, title: string}} Collapsed body text and page title
+ */
+function htmlToText(html) {
+  const $ = cheerio.load(html);
+
+  // Remove script and style elements that don't contain useful text
+  $('script, style, noscript, iframe, img, svg, canvas, video, audio').remove();
+
+  return {
+    text: $('body').text().trim().replace(/\s+/g, ' '),
+    title: $('title').first().text().trim()
+  };
+}
+
+// Decode UTF-8 text, dropping a byte order mark if present
+const decodeText = (data) => data.toString('utf8').replace(/^\uFEFF/, '');
+
+/**
+ * Parse CSV text into rows, handling quoted fields, escaped quotes and
+ * newlines inside quotes
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows of fields
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+const textDocument = (text, { source, originalFilename }) => [
+  new Document({
+    pageContent: text,
+    metadata: { source, originalFilename }
+  })
+];
+
+registerLoader({
+  type: 'pdf',
+  label: 'PDF',
+  extensions: ['.pdf'],
+  mimeTypes: ['application/pdf'],
+  async load(data, context) {
+    const pdfContent = await extractPdfPages(data);
+    return {
+      docs: textDocument(pdfContent.text, context),
+      pages: pdfContent.pages,
+      details: {
+        pageCount: pdfContent.pageCount,
+        pdfInfo: pdfContent.info
+      }
+    };
+  }
+});
+
+registerLoader({
+  type: 'docx',
+  label: 'Word document',
+  extensions: ['.docx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  async load(data, context) {
+    const result = await mammoth.extractRawText({ buffer: data });
+    return { docs: textDocument(result.value, context) };
+  }
+});
+
+registerLoader({
+  type: 'txt',
+  label: 'Text file',
+  extensions: ['.txt', '.text', '.log'],
+  mimeTypes: ['text/plain'],
+  async load(data, context) {
+    return { docs: textDocument(decodeText(data), context) };
+  }
+});
+
+registerLoader({
+  type: 'md',
+  label: 'Markdown file',
+  extensions: ['.md', '.markdown'],
+  mimeTypes: ['text/markdown', 'text/x-markdown'],
+  defaultChunkStrategy: 'markdown',
+  async load(data, context) {
+    return { docs: textDocument(decodeText(data), context) };
+  }
+});
+
+registerLoader({
+  type: 'html',
+  label: 'HTML file',
+  extensions: ['.html', '.htm'],
+  mimeTypes: ['text/html', 'application/xhtml+xml'],
+  async load(data, context) {
+    const { text, title } = htmlToText(decodeText(data));
+    return {
+      docs: textDocument(text, context),
+      details: title ? { title } : {}
+    };
+  }
+});
+
+registerLoader({
+  type: 'csv',
+  label: 'CSV file',
+  extensions: ['.csv'],
+  mimeTypes: ['text/csv', 'application/csv'],
+  async load(data, context) {
+    const [header = [], ...rows] = parseCsv(decodeText(data));
+    const columns = header.map((name, index) => name.trim() || `Column ${index + 1}`);
+
+    // Render each row as "column: value" pairs so every chunk keeps the column names
+    const text = rows
+      .map(row => row
+        .map((value, index) => `${columns[index] || `Column ${index + 1}`}: ${value.trim()}`)
+        .join('; '))
+      .join('\n');
+
+    return {
+      docs: textDocument(text, context),
+      details: { columns, rowCount: rows.length }
+    };
+  }
+});
+
+module.exports = {
+  registerLoader,
+  getLoader,
+  getLoaderByType,
+  getSupportedExtensions,
+  htmlToText,
+  parseCsv
+};
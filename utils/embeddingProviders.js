@@ -0,0 +1,282 @@
+const axios = require("axios");
+const crypto = require('crypto');
+const { GoogleGenerativeAIEmbeddings } = require("@langchain/google-genai");
+require('dotenv').config();
+
+/**
+ * Embedding providers share one interface:
+ *   name      - provider name ('gemini', 'openai', 'local')
+ *   model     - model identifier recorded with each document
+ *   getDimension() -> Promise<number> vector size produced by the model
+ *   embedDocuments(texts) -> Promise<number[][]>
+ *   embedQuery(text) -> Promise<number[]>
+ *
+ * Vectors from different providers or models are not comparable, so every
+ * document records the { provider, model, dimension } it was embedded with.
+ */
+
+// Dimensions of well-known models, so collections can be sized without a probe request
+const KNOWN_DIMENSIONS = {
+  'embedding-001': 768,
+  'text-embedding-004': 768,
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+  'text-embedding-ada-002': 1536,
+  'nomic-embed-text': 768,
+  'all-minilm': 384
+};
+
+// Settings assumed for documents stored before providers were recorded
+const LEGACY_EMBEDDING = { provider: 'gemini', model: 'embedding-001', dimension: 768 };
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const missingApiKey = () => {
+  const error = new Error('Google API key is not provided');
+  error.code = 'API_KEY_MISSING';
+  return error;
+};
+
+// Resolve a dimension from config, the known list, or a probe embedding
+const dimensionResolver = (model, configured, probe) => {
+  let dimension = configured || KNOWN_DIMENSIONS[model] || null;
+  return async () => {
+    if (!dimension) {
+      dimension = (await probe()).length;
+    }
+    return dimension;
+  };
+};
+
+/**
+ * Google Gemini embeddings, authenticated with the caller's Google API key
+ * @param {Object} options - { apiKey, model }
+ * @returns {Object} Embedding provider
+ */
+function createGeminiProvider({ apiKey, model = process.env.GEMINI_EMBEDDING_MODEL || 'embedding-001' } = {}) {
+  if (!apiKey) {
+    throw missingApiKey();
+  }
+
+  const embeddings = new GoogleGenerativeAIEmbeddings({
+    apiKey: apiKey,
+    modelName: model
+  });
+
+  return {
+    name: 'gemini',
+    model,
+    getDimension: dimensionResolver(model, null, () => embeddings.embedQuery('dimension probe')),
+    embedDocuments: (texts) => embeddings.embedDocuments(texts),
+    embedQuery: (text) => embeddings.embedQuery(text)
+  };
+}
+
+/**
+ * Any OpenAI-compatible /embeddings endpoint (OpenAI, Ollama, llama.cpp, vLLM, ...).
+ * It is always authenticated with the server's OPENAI_EMBEDDING_API_KEY, never a caller's key.
+ * @param {Object} options - { baseUrl, model, dimension }; the dimension defaults to
+ *   getOpenAIDimension(model)
+ * @returns {Object} Embedding provider
+ */
+function createOpenAICompatibleProvider({
+  baseUrl = process.env.OPENAI_EMBEDDING_BASE_URL || 'https://api.openai.com/v1',
+  model = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
+  dimension = getOpenAIDimension(model)
+} = {}) {
+  const apiKey = process.env.OPENAI_EMBEDDING_API_KEY;
+  const embed = async (input) => {
+    const response = await axios.post(`${baseUrl.replace(/\/$/, '')}/embeddings`, { model, input }, {
+      timeout: 60000,
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+    });
+    return response.data.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  };
+
+  return {
+    name: 'openai',
+    model,
+    getDimension: dimensionResolver(model, dimension, async () => (await embed(['dimension probe']))[0]),
+    embedDocuments: (texts) => embed(texts),
+    embedQuery: async (text) => (await embed([text]))[0]
+  };
+}
+
+/**
+ * Deterministic, offline embeddings using hashed bag-of-words features.
+ * Words and word pairs are hashed into a fixed number of signed buckets and
+ * the result is L2-normalized, so cosine similarity reflects shared vocabulary.
+ * @param {Object} options - { dimension }
+ * @returns {Object} Embedding provider
+ */
+function createLocalProvider({ dimension = parseInt(process.env.LOCAL_EMBEDDING_DIMENSION, 10) || 512 } = {}) {
+  const embed = (text) => {
+    const vector = new Array(dimension).fill(0);
+    const words = (text.toLowerCase().match(TOKEN_PATTERN) || []);
+    const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+
+    for (const feature of features) {
+      const digest = crypto.createHash('md5').update(feature).digest();
+      const bucket = digest.readUInt32LE(0) % dimension;
+      vector[bucket] += (digest[4] & 1) ? 1 : -1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  };
+
+  return {
+    name: 'local',
+    model: `hashed-bow-${dimension}`,
+    getDimension: async () => dimension,
+    embedDocuments: async (texts) => texts.map(embed),
+    embedQuery: async (text) => embed(text)
+  };
+}
+
+const providerFactories = {
+  gemini: createGeminiProvider,
+  openai: createOpenAICompatibleProvider,
+  local: createLocalProvider
+};
+
+// Providers authenticated with the caller's own key; the others use server configuration only
+const CALLER_KEY_PROVIDERS = ['gemini'];
+
+// Dimensions the local provider may be asked for, besides LOCAL_EMBEDDING_DIMENSION.
+// Each one gets its own vector collection, so callers can't pick arbitrary sizes.
+const LOCAL_DIMENSIONS = [128, 256, 384, 512, 768, 1024];
+
+/**
+ * Read the dimension from a local model name ("hashed-bow-<dimension>")
+ * @param {string} model - Model name
+ * @returns {number} Dimension
+ * @throws INVALID_EMBEDDING_MODEL if the name is malformed or the dimension isn't allowed
+ */
+function getLocalDimension(model) {
+  const configured = parseInt(process.env.LOCAL_EMBEDDING_DIMENSION, 10);
+  const allowed = configured && !LOCAL_DIMENSIONS.includes(configured)
+    ? [...LOCAL_DIMENSIONS, configured]
+    : LOCAL_DIMENSIONS;
+  const match = /^hashed-bow-(\d+)$/.exec(model);
+  const dimension = match ? parseInt(match[1], 10) : null;
+  if (!allowed.includes(dimension)) {
+    const error = new Error(`Local embedding models are ${allowed.map(size => `hashed-bow-${size}`).join(', ')}`);
+    error.code = 'INVALID_EMBEDDING_MODEL';
+    throw error;
+  }
+  return dimension;
+}
+
+/**
+ * Dimension of an OpenAI-compatible model. OPENAI_EMBEDDING_DIMENSION only describes
+ * OPENAI_EMBEDDING_MODEL; any other model must be one whose dimension is known, so a
+ * document never lands in a collection sized for a different model.
+ * @param {string} model - Model name
+ * @returns {number|null} Dimension, or null to probe the configured model
+ * @throws INVALID_EMBEDDING_MODEL for other models of unknown dimension
+ */
+function getOpenAIDimension(model) {
+  if (model === (process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small')) {
+    return parseInt(process.env.OPENAI_EMBEDDING_DIMENSION, 10) || KNOWN_DIMENSIONS[model] || null;
+  }
+  if (KNOWN_DIMENSIONS[model]) {
+    return KNOWN_DIMENSIONS[model];
+  }
+  const error = new Error(`The dimension of embedding model "${model}" is unknown. Use OPENAI_EMBEDDING_MODEL or one of: ${Object.keys(KNOWN_DIMENSIONS).join(', ')}`);
+  error.code = 'INVALID_EMBEDDING_MODEL';
+  throw error;
+}
+
+/**
+ * List the names of the available embedding providers
+ * @returns {string[]} Provider names
+ */
+function getEmbeddingProviderNames() {
+  return Object.keys(providerFactories);
+}
+
+/**
+ * Providers callers may pick for an upload: EMBEDDING_ALLOWED_PROVIDERS if set,
+ * otherwise the providers running on the caller's own key, the offline local
+ * provider and EMBEDDING_PROVIDER, so a server key is only spent on a provider
+ * the operator chose
+ * @returns {string[]} Provider names
+ */
+function getAllowedEmbeddingProviders() {
+  const configured = (process.env.EMBEDDING_ALLOWED_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+  const allowed = configured.length > 0
+    ? configured
+    : [...CALLER_KEY_PROVIDERS, 'local', process.env.EMBEDDING_PROVIDER || 'gemini'];
+  return [...new Set(allowed)].filter(name => providerFactories[name]);
+}
+
+/**
+ * Create an embedding provider
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Provider name, defaults to EMBEDDING_PROVIDER or 'gemini'
+ * @param {string} [options.model] - Model to use instead of the provider's configured default
+ * @param {string} [options.apiKey] - Caller's Google API key, only ever passed to the Gemini provider
+ * @returns {Object} Embedding provider
+ * @throws UNKNOWN_EMBEDDING_PROVIDER, INVALID_EMBEDDING_MODEL
+ */
+function getEmbeddingProvider({ provider, model, apiKey } = {}) {
+  const name = provider || process.env.EMBEDDING_PROVIDER || 'gemini';
+  const factory = providerFactories[name];
+  if (!factory) {
+    const error = new Error(`Unknown embedding provider "${name}". Use one of: ${getEmbeddingProviderNames().join(', ')}`);
+    error.code = 'UNKNOWN_EMBEDDING_PROVIDER';
+    throw error;
+  }
+
+  const options = {};
+  if (CALLER_KEY_PROVIDERS.includes(name)) {
+    options.apiKey = apiKey;
+  }
+  if (model) {
+    options.model = model;
+  }
+  if (name === 'local' && model) {
+    options.dimension = getLocalDimension(model);
+  }
+  return factory(options);
+}
+
+/**
+ * Describe the embedding settings of a provider, as recorded with documents
+ * @param {Object} provider - Embedding provider
+ * @returns {Promise<Object>} { provider, model, dimension }
+ */
+async function describeEmbedding(provider) {
+  return {
+    provider: provider.name,
+    model: provider.model,
+    dimension: await provider.getDimension()
+  };
+}
+
+/**
+ * Check whether vectors from two embedding settings can be compared
+ * @param {Object} a - { provider, model, dimension }
+ * @param {Object} b - { provider, model, dimension }
+ * @returns {boolean} True when both use the same model and dimension
+ */
+function isSameEmbedding(a, b) {
+  return a.provider === b.provider && a.model === b.model && a.dimension === b.dimension;
+}
+
+module.exports = {
+  LEGACY_EMBEDDING,
+  getEmbeddingProvider,
+  getEmbeddingProviderNames,
+  getAllowedEmbeddingProviders,
+  getLocalDimension,
+  getOpenAIDimension,
+  describeEmbedding,
+  isSameEmbedding
+};
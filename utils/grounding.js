@@ -0,0 +1,127 @@
+// Marker the model is told to emit when the context doesn't contain the answer
+const NOT_FOUND_MARKER = 'NOT_IN_DOCUMENT';
+
+// Answer returned in strict mode when the documents don't contain the answer
+const NOT_FOUND_MESSAGE = "I couldn't find the answer to this question in the selected documents.";
+
+const GROUNDING_MODES = ['strict', 'permissive'];
+
+/**
+ * Validate the grounding mode of a query
+ * @param {string} [mode] - 'strict' or 'permissive', defaults to GROUNDING_MODE or 'strict'
+ * @returns {string} Grounding mode
+ */
+function resolveGroundingMode(mode) {
+  const resolved = mode || process.env.GROUNDING_MODE || 'strict';
+  if (!GROUNDING_MODES.includes(resolved)) {
+    const error = new Error(`grounding must be one of: ${GROUNDING_MODES.join(', ')}`);
+    error.code = 'INVALID_GROUNDING_MODE';
+    throw error;
+  }
+  return resolved;
+}
+
+/**
+ * Prompt instructions telling the model how to handle questions the context can't answer
+ * @param {string} mode - 'strict' or 'permissive'
+ * @param {boolean} hasContext - Whether any context was retrieved
+ * @returns {string} Instructions placed at the top of the prompt
+ */
+function groundingInstructions(mode, hasContext) {
+  if (!hasContext) {
+    return `No relevant information was found in the documents for this question.
+    Start your reply with ${NOT_FOUND_MARKER} on its own line, then answer from general
+    knowledge and say clearly that the answer is not based on the documents.`;
+  }
+  if (mode === 'strict') {
+    return `Answer the question using only the context information below. Do not use
+    outside knowledge. If the context does not contain the answer, reply with exactly
+    ${NOT_FOUND_MARKER} and nothing else.`;
+  }
+  return `Answer the question using the context information below. If the context does
+    not contain the answer, start your reply with ${NOT_FOUND_MARKER} on its own line, then
+    answer from general knowledge and say clearly that the answer is not based on the documents.`;
+}
+
+/**
+ * Detect the not-found marker in a generated answer and remove it
+ * @param {string} text - Generated answer
+ * @param {string} [mode] - In 'strict' mode anything after the marker is replaced by NOT_FOUND_MESSAGE
+ * @returns {{text: string, answerable: boolean}} Answer without the marker
+ */
+function parseGroundedAnswer(text, mode) {
+  const trimmed = (text || '').trimStart();
+  if (!trimmed.startsWith(NOT_FOUND_MARKER)) {
+    return { text, answerable: true };
+  }
+  const rest = mode === 'strict' ? '' : trimmed.substring(NOT_FOUND_MARKER.length).replace(/^[\s:.-]+/, '');
+  return { text: rest || NOT_FOUND_MESSAGE, answerable: false };
+}
+
+/**
+ * Wrap a token callback so a leading not-found marker is never streamed to the
+ * client. Fragments are held back while they could still be the start of the
+ * marker, then released (or dropped, if they were the marker).
+ * @param {Function} onToken - Called with each fragment to send
+ * @param {string} [mode] - In 'strict' mode everything after the marker is dropped too
+ * @returns {{push: Function, end: Function}} push(fragment) per token; end() once generation is done
+ */
+function createMarkerFilter(onToken, mode) {
+  let pending = '';
+  let decided = false;
+  let sawMarker = false;
+  let emitted = false;
+
+  const emit = (fragment) => {
+    if (sawMarker && mode === 'strict') return;
+    // Drop the separator between the marker and a permissive answer
+    const text = sawMarker && !emitted ? fragment.replace(/^[\s:.-]+/, '') : fragment;
+    if (text) {
+      onToken(text);
+      emitted = true;
+    }
+  };
+
+  return {
+    push(fragment) {
+      if (decided) {
+        emit(fragment);
+        return;
+      }
+      pending += fragment;
+      const trimmed = pending.trimStart();
+      if (NOT_FOUND_MARKER.startsWith(trimmed) && trimmed !== NOT_FOUND_MARKER) {
+        return;
+      }
+      decided = true;
+      if (trimmed.startsWith(NOT_FOUND_MARKER)) {
+        sawMarker = true;
+        emit(trimmed.substring(NOT_FOUND_MARKER.length));
+      } else {
+        emit(pending);
+      }
+      pending = '';
+    },
+
+    end() {
+      // A short answer that only looked like the start of the marker
+      if (!decided && pending.trim()) {
+        emit(pending);
+      }
+      // The answer was only the marker
+      if (sawMarker && !emitted) {
+        onToken(NOT_FOUND_MESSAGE);
+      }
+    }
+  };
+}
+
+module.exports = {
+  NOT_FOUND_MARKER,
+  NOT_FOUND_MESSAGE,
+  GROUNDING_MODES,
+  resolveGroundingMode,
+  groundingInstructions,
+  parseGroundedAnswer,
+  createMarkerFilter
+};
@@ -0,0 +1,174 @@
+const { v4: uuidv4 } = require('uuid');
+
+const ONE_HOUR_MS = 60 * 60 * 1000;
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Job queues share a small interface so ingestion can move to an external
+ * broker later without touching the routes:
+ *   enqueue({ type, owner, description, run, cleanup }) -> job
+ *   get(jobId) -> job | null
+ *   list(owner) -> job[]
+ *   cancel(jobId) -> job | null
+ *
+ * `run({ signal, report })` does the work and resolves with the job result.
+ * `report(stage, progress)` updates the job's stage and progress fields.
+ * `cleanup()` is always called once the job is finished, including when it is
+ * cancelled before it starts.
+ */
+
+/**
+ * In-process job queue. Jobs run inside the API process with limited
+ * concurrency and are forgotten `retentionMs` after they finish.
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Number of jobs run at the same time
+ * @param {number} [options.maxQueued] - Maximum number of jobs waiting to run
+ * @param {number} [options.retentionMs] - How long finished jobs stay queryable
+ * @returns {Object} Job queue
+ */
+function createInProcessJobQueue({ concurrency = 1, maxQueued = 100, retentionMs = ONE_HOUR_MS } = {}) {
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+
+  // Public view of a job, without the runner and abort controller
+  const toView = (job) => ({
+    jobId: job.jobId,
+    type: job.type,
+    description: job.description,
+    status: job.status,
+    stage: job.stage,
+    progress: { ...job.progress },
+    error: job.error,
+    result: job.result,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  });
+
+  const pruneFinished = () => {
+    const now = Date.now();
+    for (const [jobId, job] of jobs) {
+      if (job.finishedAt && now - new Date(job.finishedAt).getTime() > retentionMs) {
+        jobs.delete(jobId);
+      }
+    }
+  };
+
+  const finish = async (job, changes) => {
+    Object.assign(job, changes, { finishedAt: new Date().toISOString() });
+    if (job.cleanup) {
+      try {
+        await job.cleanup();
+      } catch (error) {
+        console.error(`Error cleaning up job ${job.jobId}:`, error);
+      }
+    }
+  };
+
+  const execute = async (job) => {
+    running++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    const report = (stage, progress = {}) => {
+      job.stage = stage;
+      Object.assign(job.progress, progress);
+    };
+
+    try {
+      const result = await job.run({ signal: job.controller.signal, report });
+      if (job.controller.signal.aborted) {
+        await finish(job, { status: 'cancelled' });
+      } else {
+        await finish(job, { status: 'completed', stage: 'done', result });
+      }
+    } catch (error) {
+      if (job.controller.signal.aborted) {
+        await finish(job, { status: 'cancelled' });
+      } else {
+        await finish(job, {
+          status: 'failed',
+          error: { message: error.message, code: error.code || 'JOB_FAILED' }
+        });
+      }
+    } finally {
+      running--;
+      drain();
+    }
+  };
+
+  const drain = () => {
+    while (running < concurrency && pending.length > 0) {
+      execute(pending.shift());
+    }
+  };
+
+  return {
+    enqueue({ type, owner, description, run, cleanup }) {
+      pruneFinished();
+      if (pending.length >= maxQueued) {
+        const error = new Error('Too many jobs are waiting to run. Try again later.');
+        error.code = 'JOB_QUEUE_FULL';
+        throw error;
+      }
+
+      const job = {
+        jobId: uuidv4(),
+        type,
+        owner,
+        description: description || null,
+        status: 'queued',
+        stage: 'queued',
+        progress: {},
+        error: null,
+        result: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        controller: new AbortController(),
+        run,
+        cleanup
+      };
+
+      jobs.set(job.jobId, job);
+      pending.push(job);
+      drain();
+      return toView(job);
+    },
+
+    get(jobId) {
+      pruneFinished();
+      const job = jobs.get(jobId);
+      return job ? { ...toView(job), owner: job.owner } : null;
+    },
+
+    list(owner) {
+      pruneFinished();
+      return Array.from(jobs.values())
+        .filter(job => job.owner === owner)
+        .map(toView);
+    },
+
+    async cancel(jobId) {
+      const job = jobs.get(jobId);
+      if (!job) return null;
+      if (FINISHED_STATUSES.includes(job.status)) return toView(job);
+
+      job.controller.abort();
+      if (job.status === 'queued') {
+        pending.splice(pending.indexOf(job), 1);
+        await finish(job, { status: 'cancelled' });
+      } else {
+        // The runner stops at its next cancellation check
+        job.status = 'cancelling';
+      }
+      return toView(job);
+    }
+  };
+}
+
+module.exports = {
+  FINISHED_STATUSES,
+  createInProcessJobQueue
+};
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Format version stored with each entry, so the scheme can change without losing old entries
+const VAULT_VERSION = 1;
+
+const vaultUnavailable = () => {
+  const error = new Error('The key vault is not configured; set KEY_VAULT_SECRET');
+  error.code = 'KEY_VAULT_UNAVAILABLE';
+  return error;
+};
+
+// 256-bit AES key derived from KEY_VAULT_SECRET, or null when the vault is disabled
+const getVaultKey = () => {
+  const secret = process.env.KEY_VAULT_SECRET;
+  return secret ? crypto.createHash('sha256').update(secret).digest() : null;
+};
+
+/**
+ * Whether provider keys can be stored, i.e. KEY_VAULT_SECRET is set
+ * @returns {boolean}
+ */
+function isVaultConfigured() {
+  return Boolean(getVaultKey());
+}
+
+/**
+ * Encrypt a secret with AES-256-GCM. The context (for example the user ID and
+ * provider) is authenticated with the ciphertext, so an entry copied to another
+ * user or provider fails to decrypt.
+ * @param {string} plaintext - Secret to encrypt
+ * @param {string} context - Binding for the entry
+ * @returns {Object} { version, iv, tag, data }, base64 encoded
+ */
+function encryptSecret(plaintext, context) {
+  const key = getVaultKey();
+  if (!key) throw vaultUnavailable();
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(context));
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return {
+    version: VAULT_VERSION,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt an entry made by encryptSecret
+ * @param {Object} entry - { version, iv, tag, data }
+ * @param {string} context - Binding the entry was encrypted with
+ * @returns {string} Plaintext secret
+ * @throws KEY_VAULT_UNAVAILABLE without KEY_VAULT_SECRET, KEY_VAULT_DECRYPT_FAILED if the entry
+ *   was tampered with, moved, or encrypted with another secret
+ */
+function decryptSecret(entry, context) {
+  const key = getVaultKey();
+  if (!key) throw vaultUnavailable();
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(entry.iv, 'base64'));
+    decipher.setAAD(Buffer.from(context));
+    decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]).toString('utf8');
+  } catch (cause) {
+    const error = new Error('Stored key could not be decrypted');
+    error.code = 'KEY_VAULT_DECRYPT_FAILED';
+    error.originalError = cause;
+    throw error;
+  }
+}
+
+module.exports = {
+  isVaultConfigured,
+  encryptSecret,
+  decryptSecret
+};
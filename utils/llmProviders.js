@@ -0,0 +1,342 @@
+const axios = require("axios");
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { countTokens } = require('./textSplitter');
+require('dotenv').config();
+
+/**
+ * Generation providers share one interface:
+ *   name  - provider name ('gemini', 'openai', 'mock')
+ *   model - model identifier
+ *   generate(prompt, params, { signal }) -> Promise<{ text, usage }>
+ *   stream(prompt, params, { signal, onToken }) -> Promise<{ text, usage }>
+ *
+ * `params` are { temperature, topP, maxOutputTokens }, already checked against
+ * the server limits by resolveGenerationOptions. `usage` is
+ * { promptTokens, completionTokens, totalTokens }, or null when the backend
+ * doesn't report it.
+ */
+
+const DEFAULT_PARAMS = {
+  temperature: 0.7,
+  topP: 0.9,
+  maxOutputTokens: 2048
+};
+
+// Server-side ceilings for per-request generation parameters
+const MAX_OUTPUT_TOKENS = parseInt(process.env.LLM_MAX_OUTPUT_TOKENS, 10) || 4096;
+const MAX_TEMPERATURE = parseFloat(process.env.LLM_MAX_TEMPERATURE) || 2;
+
+// Optional comma-separated list of models callers may pick
+const ALLOWED_MODELS = (process.env.LLM_ALLOWED_MODELS || '')
+  .split(',')
+  .map(model => model.trim())
+  .filter(Boolean);
+
+const invalidOptions = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_GENERATION_OPTIONS';
+  return error;
+};
+
+/**
+ * Google Gemini, authenticated with the caller's Google API key
+ * @param {Object} options - { apiKey, model }
+ * @returns {Object} Generation provider
+ */
+function createGeminiProvider({ apiKey, model = process.env.GEMINI_CHAT_MODEL || 'gemini-2.0-flash' } = {}) {
+  if (!apiKey) {
+    const error = new Error('Google API key is not provided');
+    error.code = 'API_KEY_MISSING';
+    throw error;
+  }
+
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const getModel = (params) => genAI.getGenerativeModel({
+    model,
+    generationConfig: {
+      temperature: params.temperature,
+      topP: params.topP,
+      maxOutputTokens: params.maxOutputTokens,
+    }
+  });
+
+  const formatUsage = (usageMetadata) => {
+    if (!usageMetadata) return null;
+    return {
+      promptTokens: usageMetadata.promptTokenCount,
+      completionTokens: usageMetadata.candidatesTokenCount,
+      totalTokens: usageMetadata.totalTokenCount
+    };
+  };
+
+  return {
+    name: 'gemini',
+    model,
+
+    async generate(prompt, params, { signal } = {}) {
+      const result = await getModel(params).generateContent(prompt, { signal });
+      const response = await result.response;
+      return { text: response.text(), usage: formatUsage(response.usageMetadata) };
+    },
+
+    async stream(prompt, params, { signal, onToken } = {}) {
+      const result = await getModel(params).generateContentStream(prompt, { signal });
+      let text = '';
+      for await (const chunk of result.stream) {
+        const fragment = chunk.text();
+        if (fragment) {
+          text += fragment;
+          if (onToken) onToken(fragment);
+        }
+      }
+      const response = await result.response;
+      return { text, usage: formatUsage(response.usageMetadata) };
+    }
+  };
+}
+
+/**
+ * Any OpenAI-compatible /chat/completions endpoint (OpenAI, Ollama, llama.cpp, vLLM, ...).
+ * It is always authenticated with the server's OPENAI_CHAT_API_KEY, never a caller's key.
+ * @param {Object} options - { baseUrl, model }
+ * @returns {Object} Generation provider
+ */
+function createOpenAICompatibleProvider({
+  baseUrl = process.env.OPENAI_CHAT_BASE_URL || 'https://api.openai.com/v1',
+  model = process.env.OPENAI_CHAT_MODEL || 'gpt-4o-mini'
+} = {}) {
+  const apiKey = process.env.OPENAI_CHAT_API_KEY;
+  const url = `${baseUrl.replace(/\/$/, '')}/chat/completions`;
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  const buildBody = (prompt, params, stream) => ({
+    model,
+    messages: [{ role: 'user', content: prompt }],
+    temperature: params.temperature,
+    top_p: params.topP,
+    max_tokens: params.maxOutputTokens,
+    stream
+  });
+
+  const formatUsage = (usage) => {
+    if (!usage) return null;
+    return {
+      promptTokens: usage.prompt_tokens,
+      completionTokens: usage.completion_tokens,
+      totalTokens: usage.total_tokens
+    };
+  };
+
+  return {
+    name: 'openai',
+    model,
+
+    async generate(prompt, params, { signal } = {}) {
+      const response = await axios.post(url, buildBody(prompt, params, false), {
+        timeout: 120000,
+        headers,
+        signal
+      });
+      const choice = response.data.choices && response.data.choices[0];
+      return {
+        text: (choice && choice.message && choice.message.content) || '',
+        usage: formatUsage(response.data.usage)
+      };
+    },
+
+    async stream(prompt, params, { signal, onToken } = {}) {
+      const response = await axios.post(url, buildBody(prompt, params, true), {
+        timeout: 120000,
+        headers,
+        signal,
+        responseType: 'stream'
+      });
+
+      let text = '';
+      let usage = null;
+      let buffered = '';
+      // The body is a stream of "data: {...}" lines ending with "data: [DONE]"
+      for await (const data of response.data) {
+        buffered += data.toString('utf8');
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+
+        for (const line of lines) {
+          const payload = line.trim().replace(/^data:\s*/, '');
+          if (!line.trim().startsWith('data:') || payload === '[DONE]') continue;
+
+          const event = JSON.parse(payload);
+          if (event.usage) usage = formatUsage(event.usage);
+          const delta = event.choices && event.choices[0] && event.choices[0].delta;
+          if (delta && delta.content) {
+            text += delta.content;
+            if (onToken) onToken(delta.content);
+          }
+        }
+      }
+      return { text, usage };
+    }
+  };
+}
+
+/**
+ * Deterministic provider for tests and offline development. Answers with
+ * MOCK_LLM_RESPONSE if set, otherwise with a canned answer citing the first
+ * context item, and never calls out of the process.
+ * @param {Object} options - { model }
+ * @returns {Object} Generation provider
+ */
+function createMockProvider({ model = 'mock' } = {}) {
+  const answer = (prompt, params) => {
+    const text = process.env.MOCK_LLM_RESPONSE || 'This is a mock response based on the provided context [1].';
+    const words = text.split(' ');
+    // Respect the token limit so truncation paths can be exercised
+    const limited = words.slice(0, Math.max(1, params.maxOutputTokens)).join(' ');
+    const promptTokens = countTokens(prompt);
+    const completionTokens = countTokens(limited);
+    return {
+      text: limited,
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    };
+  };
+
+  return {
+    name: 'mock',
+    model,
+
+    async generate(prompt, params) {
+      return answer(prompt, params);
+    },
+
+    async stream(prompt, params, { signal, onToken } = {}) {
+      const result = answer(prompt, params);
+      for (const fragment of result.text.split(/(?<= )/)) {
+        if (signal && signal.aborted) break;
+        if (onToken) onToken(fragment);
+      }
+      return result;
+    }
+  };
+}
+
+const providerFactories = {
+  gemini: createGeminiProvider,
+  openai: createOpenAICompatibleProvider,
+  mock: createMockProvider
+};
+
+// Providers authenticated with the caller's own key; the others use server configuration only
+const CALLER_KEY_PROVIDERS = ['gemini'];
+
+// The mock provider is a test stub and is never served outside development and tests
+const isDevelopmentMode = () => ['development', 'test'].includes(process.env.NODE_ENV);
+
+/**
+ * List the names of the available generation providers
+ * @returns {string[]} Provider names
+ */
+function getLlmProviderNames() {
+  return Object.keys(providerFactories);
+}
+
+/**
+ * Providers callers may use: LLM_ALLOWED_PROVIDERS if set, otherwise the providers
+ * running on the caller's own key plus LLM_PROVIDER, so a server credential is only
+ * spent on a provider the operator chose. `mock` is left out unless NODE_ENV is
+ * development or test.
+ * @returns {string[]} Provider names
+ */
+function getAllowedLlmProviders() {
+  const configured = (process.env.LLM_ALLOWED_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+  const allowed = configured.length > 0
+    ? configured
+    : [...CALLER_KEY_PROVIDERS, process.env.LLM_PROVIDER || 'gemini'];
+  return [...new Set(allowed)].filter(name => providerFactories[name] && (name !== 'mock' || isDevelopmentMode()));
+}
+
+/**
+ * Validate per-request generation options against the server limits
+ * @param {Object} [options] - { provider, model, temperature, topP, maxOutputTokens }
+ * @returns {Object} Options with defaults applied: { provider, model, params }
+ */
+function resolveGenerationOptions(options = {}) {
+  const provider = options.provider || process.env.LLM_PROVIDER || 'gemini';
+  const allowedProviders = getAllowedLlmProviders();
+  if (!allowedProviders.includes(provider)) {
+    throw invalidOptions(`provider must be one of: ${allowedProviders.join(', ')}`);
+  }
+
+  const model = options.model || null;
+  if (model !== null) {
+    if (typeof model !== 'string' || model.length > 200) {
+      throw invalidOptions('model must be a string of at most 200 characters');
+    }
+    if (ALLOWED_MODELS.length > 0 && !ALLOWED_MODELS.includes(model)) {
+      throw invalidOptions(`model must be one of: ${ALLOWED_MODELS.join(', ')}`);
+    }
+  }
+
+  const readNumber = (name, min, max) => {
+    const value = options[name];
+    if (value === undefined || value === null || value === '') {
+      return DEFAULT_PARAMS[name];
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < min || number > max) {
+      throw invalidOptions(`${name} must be a number between ${min} and ${max}`);
+    }
+    return number;
+  };
+
+  const params = {
+    temperature: readNumber('temperature', 0, MAX_TEMPERATURE),
+    topP: readNumber('topP', 0, 1),
+    maxOutputTokens: readNumber('maxOutputTokens', 1, MAX_OUTPUT_TOKENS)
+  };
+  if (!Number.isInteger(params.maxOutputTokens)) {
+    throw invalidOptions('maxOutputTokens must be an integer');
+  }
+
+  return { provider, model, params };
+}
+
+/**
+ * Create a generation provider
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Provider name, defaults to LLM_PROVIDER or 'gemini'; callers'
+ *   choices must already have been checked by resolveGenerationOptions
+ * @param {string} [options.model] - Model to use instead of the provider's configured default
+ * @param {string} [options.apiKey] - Caller's Google API key, only ever passed to the Gemini provider
+ * @returns {Object} Generation provider
+ */
+function getLlmProvider({ provider, model, apiKey } = {}) {
+  const name = provider || process.env.LLM_PROVIDER || 'gemini';
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw invalidOptions(`provider must be one of: ${getLlmProviderNames().join(', ')}`);
+  }
+  if (name === 'mock' && !isDevelopmentMode()) {
+    throw invalidOptions('The mock provider is only available when NODE_ENV is development or test');
+  }
+
+  const options = {};
+  if (CALLER_KEY_PROVIDERS.includes(name)) {
+    options.apiKey = apiKey;
+  }
+  if (model) {
+    options.model = model;
+  }
+  return factory(options);
+}
+
+module.exports = {
+  DEFAULT_PARAMS,
+  CALLER_KEY_PROVIDERS,
+  getLlmProvider,
+  getLlmProviderNames,
+  getAllowedLlmProviders,
+  resolveGenerationOptions
+};
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+
+/**
+ * Who owns stored records (documents, sessions, jobs). A caller is resolved once
+ * per request by the authenticate middleware and is either:
+ *   - a user signed in with an access token, who owns records through a workspace
+ *     ({ userId, workspaceId, role, apiKey: provider key from the vault or header })
+ *   - a legacy caller identified only by its Google API key
+ *     ({ apiKeyHash, apiKey }), as every record was owned before user accounts
+ */
+
+// Workspace roles, from least to most privileged: viewers read and chat,
+// editors also upload, replace, move and delete documents, owners also manage members
+const WORKSPACE_ROLES = ['viewer', 'editor', 'owner'];
+
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(apiKey || '').digest('hex');
+
+/**
+ * Caller identified only by a Google API key
+ * @param {string} apiKey - Value of the x-api-key header
+ * @returns {Object} Caller
+ */
+function callerFromApiKey(apiKey) {
+  return { userId: null, workspaceId: null, role: null, apiKeyHash: hashApiKey(apiKey), apiKey };
+}
+
+/**
+ * Payload fields that mark a new record as owned by the caller
+ * @param {Object} caller - Request caller
+ * @returns {Object} { workspaceId, ownerId } or { apiKeyHash }
+ */
+function ownerFields(caller) {
+  return caller.workspaceId
+    ? { workspaceId: caller.workspaceId, ownerId: caller.userId }
+    : { apiKeyHash: caller.apiKeyHash };
+}
+
+/**
+ * Vector store filter condition matching the records the caller owns
+ * @param {Object} caller - Request caller
+ * @returns {Object} Filter condition
+ */
+function ownerCondition(caller) {
+  return caller.workspaceId
+    ? { key: 'workspaceId', match: { value: caller.workspaceId } }
+    : { key: 'apiKeyHash', match: { value: caller.apiKeyHash } };
+}
+
+/**
+ * Whether a stored payload belongs to the caller. Records owned by a workspace
+ * are never matched by API key, so a key rotation can't reach or orphan them.
+ * @param {Object} payload - Record payload
+ * @param {Object} caller - Request caller
+ * @returns {boolean}
+ */
+function isOwnedBy(payload, caller) {
+  if (!payload || !caller) return false;
+  if (payload.workspaceId) {
+    return payload.workspaceId === caller.workspaceId;
+  }
+  return Boolean(!caller.workspaceId && payload.apiKeyHash && payload.apiKeyHash === caller.apiKeyHash);
+}
+
+/**
+ * Whether the caller's workspace role is at least the given role. A legacy caller
+ * is the sole owner of its records, so it holds every role.
+ * @param {Object} caller - Request caller
+ * @param {string} role - 'viewer', 'editor' or 'owner'
+ * @returns {boolean}
+ */
+function hasRole(caller, role) {
+  if (!caller.workspaceId) return true;
+  return WORKSPACE_ROLES.indexOf(caller.role) >= WORKSPACE_ROLES.indexOf(role);
+}
+
+// Single string identifying the caller's ownership, for in-memory records such as jobs
+const ownerKey = (caller) => (caller.workspaceId ? `workspace:${caller.workspaceId}` : `key:${caller.apiKeyHash}`);
+
+module.exports = {
+  WORKSPACE_ROLES,
+  hashApiKey,
+  callerFromApiKey,
+  ownerFields,
+  ownerCondition,
+  isOwnedBy,
+  hasRole,
+  ownerKey
+};
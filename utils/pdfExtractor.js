@@ -0,0 +1,118 @@
+const pdfParse = require("pdf-parse");
+
+// Separator placed between pages in the combined text, same as pdf-parse
+const PAGE_SEPARATOR = '\n\n';
+
+// Fields copied from the PDF info dictionary into document metadata
+const INFO_FIELDS = {
+  Title: 'title',
+  Author: 'author',
+  Subject: 'subject',
+  Keywords: 'keywords',
+  Creator: 'creator',
+  Producer: 'producer',
+  CreationDate: 'creationDate',
+  ModDate: 'modDate'
+};
+
+// Render a page's text items, keeping line breaks where the y position changes
+async function renderPage(pageData) {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
+
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    if (lastY === item.transform[5] || !lastY) {
+      text += item.str;
+    } else {
+      text += '\n' + item.str;
+    }
+    lastY = item.transform[5];
+  }
+  return text;
+}
+
+/**
+ * Pick the useful, non-empty fields from a PDF info dictionary
+ * @param {Object} info - Info dictionary returned by pdf.js
+ * @returns {Object} Normalized PDF info
+ */
+function normalizeInfo(info) {
+  const result = {};
+  if (!info) return result;
+
+  for (const [key, field] of Object.entries(INFO_FIELDS)) {
+    const value = info[key];
+    if (typeof value === 'string' && value.trim()) {
+      result[field] = value.trim();
+    }
+  }
+  return result;
+}
+
+/**
+ * Extract text from a PDF page by page
+ * @param {Buffer} pdfData - Raw PDF bytes
+ * @returns {Promise<Object>} { text, pages: [{ pageNumber, text, start, end }], pageCount, info }
+ *   where start/end are character offsets of each page within `text`
+ */
+async function extractPdfPages(pdfData) {
+  const pageTexts = new Map();
+
+  const pdfContent = await pdfParse(pdfData, {
+    pagerender: async (pageData) => {
+      const text = await renderPage(pageData);
+      pageTexts.set(pageData.pageNumber, text);
+      return text;
+    }
+  });
+
+  const pages = [];
+  let text = '';
+  for (let pageNumber = 1; pageNumber <= pdfContent.numpages; pageNumber++) {
+    if (pageNumber > 1) {
+      text += PAGE_SEPARATOR;
+    }
+    const pageText = pageTexts.get(pageNumber) || '';
+    const start = text.length;
+    text += pageText;
+    pages.push({ pageNumber, text: pageText, start, end: text.length });
+  }
+
+  return {
+    text,
+    pages,
+    pageCount: pdfContent.numpages,
+    info: normalizeInfo(pdfContent.info)
+  };
+}
+
+/**
+ * Find the page that contains a character offset of the combined text
+ * @param {Array} pages - Pages returned by extractPdfPages
+ * @param {number} offset - Character offset within the combined text
+ * @returns {number|null} Page number, or null when there are no pages
+ */
+function pageAtOffset(pages, offset) {
+  if (!pages || pages.length === 0) return null;
+
+  let low = 0;
+  let high = pages.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (pages[mid].start <= offset) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return pages[low].pageNumber;
+}
+
+module.exports = {
+  extractPdfPages,
+  pageAtOffset
+};
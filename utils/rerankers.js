@@ -0,0 +1,137 @@
+const { tokenize } = require('./bm25');
+
+/**
+ * Rerankers re-order a candidate set of retrieved chunks by how well each one
+ * answers the query, looking at the query and chunk together:
+ *   name - reranker name ('local', 'llm')
+ *   rerank(query, candidates, { signal }) -> Promise<number[]|null> one score in [0, 1] per
+ *     candidate, or null when the candidates couldn't be scored and keep their retrieval order
+ *
+ * Candidates are retrieval results ({ id, payload: { text }, ... }).
+ */
+
+// Longest passage sent to the LLM reranker, in characters
+const LLM_PASSAGE_LENGTH = 800;
+
+const RERANKERS = ['none', 'local', 'llm'];
+
+/**
+ * Local cross-scorer. Scores each chunk on the share of query terms it
+ * contains, the share of query word pairs it contains in order, and how close
+ * together the matched terms appear. Deterministic and free, but lexical only.
+ * @returns {Object} Reranker
+ */
+function createLocalReranker() {
+  const scorePair = (queryTerms, text) => {
+    const terms = tokenize(text);
+    if (queryTerms.length === 0 || terms.length === 0) return 0;
+
+    const distinctQueryTerms = Array.from(new Set(queryTerms));
+    const positions = new Map();
+    terms.forEach((term, index) => {
+      if (!positions.has(term)) positions.set(term, []);
+      positions.get(term).push(index);
+    });
+
+    const matched = distinctQueryTerms.filter(term => positions.has(term));
+    const coverage = matched.length / distinctQueryTerms.length;
+
+    // Query word pairs that appear next to each other in the chunk
+    const queryPairs = queryTerms.slice(1).map((term, i) => `${queryTerms[i]} ${term}`);
+    const chunkPairs = new Set(terms.slice(1).map((term, i) => `${terms[i]} ${term}`));
+    const pairCoverage = queryPairs.length > 0
+      ? queryPairs.filter(pair => chunkPairs.has(pair)).length / queryPairs.length
+      : coverage;
+
+    // Smallest span between the first occurrences of matched terms, relative to their count
+    let proximity = 0;
+    if (matched.length > 1) {
+      const firstPositions = matched.map(term => positions.get(term)[0]);
+      const span = Math.max(...firstPositions) - Math.min(...firstPositions) + 1;
+      proximity = matched.length / span;
+    } else if (matched.length === 1) {
+      proximity = 1;
+    }
+
+    return 0.6 * coverage + 0.25 * pairCoverage + 0.15 * proximity;
+  };
+
+  return {
+    name: 'local',
+    async rerank(query, candidates) {
+      const queryTerms = tokenize(query);
+      return candidates.map(candidate => scorePair(queryTerms, candidate.payload.text || ''));
+    }
+  };
+}
+
+/**
+ * LLM reranker. Asks the generation model to grade every candidate passage
+ * from 0 to 10 in a single request. Returns null, leaving the retrieval order
+ * and scores in place, if the request fails or the reply can't be parsed.
+ * @param {Object} llm - Generation provider from utils/llmProviders
+ * @returns {Object} Reranker
+ */
+function createLlmReranker(llm) {
+  return {
+    name: 'llm',
+    async rerank(query, candidates, { signal } = {}) {
+      const passages = candidates
+        .map((candidate, index) => {
+          const text = (candidate.payload.text || '').replace(/\s+/g, ' ');
+          return `[${index + 1}] ${text.length > LLM_PASSAGE_LENGTH ? `${text.substring(0, LLM_PASSAGE_LENGTH)}...` : text}`;
+        })
+        .join('\n\n');
+
+      const prompt = `
+    Rate how well each numbered passage helps answer the question, from 0 (irrelevant)
+    to 10 (answers it directly). Reply with only a JSON object mapping each passage
+    number to its rating, for example {"1": 7, "2": 0}.
+
+    Question: ${query}
+
+    Passages:
+    ${passages}
+
+    Ratings:`;
+
+      try {
+        const result = await llm.generate(prompt, { temperature: 0, topP: 1, maxOutputTokens: 512 }, { signal });
+        const json = result.text.match(/\{[\s\S]*\}/);
+        if (!json) throw new Error('No ratings found in reranker reply');
+        const ratings = JSON.parse(json[0]);
+        return candidates.map((candidate, index) => {
+          const rating = Number(ratings[String(index + 1)]);
+          return Number.isFinite(rating) ? Math.min(Math.max(rating, 0), 10) / 10 : 0;
+        });
+      } catch (error) {
+        if (signal && signal.aborted) throw error;
+        // Retrieval order is still a reasonable ranking, but there are no rerank scores to report
+        console.error('Error reranking with LLM:', error);
+        return null;
+      }
+    }
+  };
+}
+
+/**
+ * Create a reranker
+ * @param {string} name - 'local' or 'llm'
+ * @param {Object} [options] - { llm } generation provider, required for 'llm'
+ * @returns {Object|null} Reranker, or null for 'none'
+ */
+function getReranker(name, { llm } = {}) {
+  switch (name) {
+    case 'local':
+      return createLocalReranker();
+    case 'llm':
+      return createLlmReranker(llm);
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  RERANKERS,
+  getReranker
+};
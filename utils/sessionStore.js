@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { getVectorStore, scrollAll } = require('./vectorStore');
+require('dotenv').config();
+
+const SESSION_COLLECTION = 'chat_sessions';
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Session stores share a small async interface so the backing storage can be swapped:
+ *   get(sessionId) -> session | null
+ *   save(session) -> session
+ *   list(owner, { documentId }) -> session[], where owner is a filter condition
+ *     such as { key: 'workspaceId', match: { value } } naming the owning field
+ *   delete(sessionId) -> boolean
+ */
+
+/**
+ * In-memory session store. Sessions live for the lifetime of the process and
+ * expire after `ttlMs` without activity.
+ * @param {Object} [options]
+ * @param {number} [options.ttlMs] - Inactivity window before a session is dropped
+ * @returns {Object} Session store
+ */
+function createMemorySessionStore({ ttlMs = ONE_DAY_MS } = {}) {
+  const sessions = new Map();
+
+  const isExpired = (session) => Date.now() - new Date(session.updatedAt).getTime() > ttlMs;
+
+  const pruneExpired = () => {
+    for (const [sessionId, session] of sessions) {
+      if (isExpired(session)) {
+        sessions.delete(sessionId);
+      }
+    }
+  };
+
+  return {
+    async get(sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session) return null;
+      if (isExpired(session)) {
+        sessions.delete(sessionId);
+        return null;
+      }
+      return structuredClone(session);
+    },
+
+    async save(session) {
+      sessions.set(session.sessionId, structuredClone(session));
+      return session;
+    },
+
+    async list(owner, { documentId } = {}) {
+      pruneExpired();
+      return Array.from(sessions.values())
+        .filter(session => session[owner.key] === owner.match.value)
+        .filter(session => !documentId || (session.documentIds || []).includes(documentId))
+        .map(session => structuredClone(session));
+    },
+
+    async delete(sessionId) {
+      return sessions.delete(sessionId);
+    }
+  };
+}
+
+/**
+ * Qdrant-backed session store. Each session is a single point in the
+ * `chat_sessions` collection with a dummy vector, mirroring how document
+ * metadata is stored. Like the memory store, sessions expire after `ttlMs`
+ * without activity; expired points are deleted when they are next read or listed.
+ * @param {Object} [options]
+ * @param {number} [options.ttlMs] - Inactivity window before a session is dropped
+ * @returns {Object} Session store
+ */
+function createQdrantSessionStore({ ttlMs = ONE_DAY_MS } = {}) {
+  // Qdrant only accepts unsigned integers or UUIDs as point IDs. Session IDs are
+  // UUIDs and are stored as they are; anything else maps to a UUID of its SHA-256.
+  const toPointId = (sessionId) => {
+    if (UUID_PATTERN.test(sessionId)) return sessionId.toLowerCase();
+    const hex = crypto.createHash('sha256').update(String(sessionId)).digest('hex');
+    return `${hex.substring(0, 8)}-${hex.substring(8, 12)}-${hex.substring(12, 16)}-${hex.substring(16, 20)}-${hex.substring(20, 32)}`;
+  };
+
+  const cutoff = () => new Date(Date.now() - ttlMs).toISOString();
+  const isExpired = (session) => Date.now() - new Date(session.updatedAt).getTime() > ttlMs;
+
+  return {
+    async get(sessionId) {
+      await getVectorStore().ensureCollection(SESSION_COLLECTION);
+      const points = await getVectorStore().retrieve(SESSION_COLLECTION, {
+        ids: [toPointId(sessionId)],
+        with_payload: true,
+        with_vector: false
+      });
+      const point = points && points[0];
+      if (!point || !point.payload || point.payload.sessionId !== sessionId) {
+        return null;
+      }
+      if (isExpired(point.payload)) {
+        await getVectorStore().delete(SESSION_COLLECTION, { points: [point.id] });
+        return null;
+      }
+      return point.payload;
+    },
+
+    async save(session) {
+      await getVectorStore().ensureCollection(SESSION_COLLECTION);
+      await getVectorStore().upsert(SESSION_COLLECTION, {
+        points: [{
+          id: toPointId(session.sessionId),
+          vector: new Array(768).fill(0), // Dummy vector
+          payload: session
+        }]
+      });
+      return session;
+    },
+
+    async list(owner, { documentId } = {}) {
+      await getVectorStore().ensureCollection(SESSION_COLLECTION);
+      const expiredBefore = cutoff();
+      await getVectorStore().delete(SESSION_COLLECTION, {
+        filter: { must: [{ key: 'updatedAt', datetime_range: { lt: expiredBefore } }] }
+      });
+      const must = [owner, { key: 'updatedAt', datetime_range: { gte: expiredBefore } }];
+      if (documentId) {
+        must.push({ key: 'documentIds', match: { value: documentId } });
+      }
+      const points = await scrollAll(SESSION_COLLECTION, { filter: { must } });
+      return points.map(point => point.payload);
+    },
+
+    async delete(sessionId) {
+      await getVectorStore().ensureCollection(SESSION_COLLECTION);
+      await getVectorStore().delete(SESSION_COLLECTION, {
+        points: [toPointId(sessionId)]
+      });
+      return true;
+    }
+  };
+}
+
+const storeFactories = {
+  memory: createMemorySessionStore,
+  qdrant: createQdrantSessionStore
+};
+
+let sessionStore = null;
+
+/**
+ * Get the active session store, creating it from SESSION_STORE on first use
+ * @returns {Object} Session store
+ */
+function getSessionStore() {
+  if (!sessionStore) {
+    const storeType = process.env.SESSION_STORE || 'memory';
+    const factory = storeFactories[storeType];
+    if (!factory) {
+      console.error(`Unknown SESSION_STORE "${storeType}", falling back to memory store`);
+    }
+    sessionStore = (factory || createMemorySessionStore)();
+  }
+  return sessionStore;
+}
+
+/**
+ * Replace the active session store with a custom implementation
+ * @param {Object} store - Object implementing get, save, list and delete
+ */
+function setSessionStore(store) {
+  sessionStore = store;
+}
+
+module.exports = {
+  SESSION_COLLECTION,
+  createMemorySessionStore,
+  createQdrantSessionStore,
+  getSessionStore,
+  setSessionStore
+};
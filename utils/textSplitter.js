@@ -0,0 +1,265 @@
+/**
+ * Text splitters used to chunk documents before embedding.
+ *
+ * Every strategy returns chunks of the form { text, start, end, metadata } where
+ * start/end are character offsets into the original text, so callers can map
+ * chunks back to pages or other positional information.
+ */
+
+// Approximate tokenizer: runs of letters/digits, or single punctuation marks
+const TOKEN_PATTERN = /[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu;
+
+// Separators tried in order by the recursive splitter: paragraphs, lines, sentences, words
+const SEPARATORS = [
+  /\n\s*\n/g,
+  /\n/g,
+  /(?<=[.!?;:])\s+/g,
+  /\s+/g
+];
+
+// Markdown ATX headings such as "## Installation"
+const HEADING_PATTERN = /^(#{1,6})[ \t]+(.+?)[ \t]*#*[ \t]*$/gm;
+
+const STRATEGIES = ['recursive', 'token', 'markdown'];
+
+const DEFAULTS = {
+  recursive: { chunkSize: 2000, chunkOverlap: 200 },
+  token: { chunkSize: 500, chunkOverlap: 50 },
+  markdown: { chunkSize: 2000, chunkOverlap: 200 }
+};
+
+const LIMITS = {
+  recursive: { min: 100, max: 8000 },
+  token: { min: 20, max: 2000 },
+  markdown: { min: 100, max: 8000 }
+};
+
+const charLength = (text) => text.length;
+
+/**
+ * Count tokens in a piece of text using the approximate tokenizer
+ * @param {string} text - Text to measure
+ * @returns {number} Approximate token count
+ */
+function countTokens(text) {
+  const matches = text.match(TOKEN_PATTERN);
+  return matches ? matches.length : 0;
+}
+
+// Offsets just after each separator match, i.e. where the next piece begins
+function findBoundaries(segment, separator) {
+  const boundaries = [];
+  for (const match of segment.matchAll(separator)) {
+    const boundary = match.index + match[0].length;
+    if (boundary > 0 && boundary < segment.length) {
+      boundaries.push(boundary);
+    }
+  }
+  return boundaries;
+}
+
+// Break text[start, end) into contiguous pieces no longer than chunkSize
+function splitPieces(text, start, end, separators, chunkSize, lengthOf) {
+  if (lengthOf(text.slice(start, end)) <= chunkSize) {
+    return [{ start, end }];
+  }
+
+  const [separator, ...remaining] = separators;
+
+  // Nothing left to split on: cut at fixed character positions
+  if (!separator) {
+    const pieces = [];
+    for (let i = start; i < end; i += chunkSize) {
+      pieces.push({ start: i, end: Math.min(i + chunkSize, end) });
+    }
+    return pieces;
+  }
+
+  const boundaries = findBoundaries(text.slice(start, end), separator);
+  if (boundaries.length === 0) {
+    return splitPieces(text, start, end, remaining, chunkSize, lengthOf);
+  }
+
+  const pieces = [];
+  const offsets = [0, ...boundaries, end - start];
+  for (let i = 0; i < offsets.length - 1; i++) {
+    pieces.push(...splitPieces(text, start + offsets[i], start + offsets[i + 1], remaining, chunkSize, lengthOf));
+  }
+  return pieces;
+}
+
+// Merge small pieces into chunks up to chunkSize, repeating trailing pieces for overlap
+function mergePieces(text, pieces, chunkSize, chunkOverlap, lengthOf) {
+  const spans = [];
+  let current = [];
+  let currentLength = 0;
+
+  for (const piece of pieces) {
+    const pieceLength = lengthOf(text.slice(piece.start, piece.end));
+
+    if (current.length > 0 && currentLength + pieceLength > chunkSize) {
+      spans.push({ start: current[0].start, end: current[current.length - 1].end });
+
+      // Keep as many trailing pieces as fit in the overlap and still leave room for this piece
+      while (current.length > 0 && (currentLength > chunkOverlap || currentLength + pieceLength > chunkSize)) {
+        const removed = current.shift();
+        currentLength -= lengthOf(text.slice(removed.start, removed.end));
+      }
+    }
+
+    current.push(piece);
+    currentLength += pieceLength;
+  }
+
+  if (current.length > 0) {
+    spans.push({ start: current[0].start, end: current[current.length - 1].end });
+  }
+  return spans;
+}
+
+// Turn spans into chunks, trimming surrounding whitespace and dropping empty ones
+function toChunks(text, spans, metadata = {}) {
+  const chunks = [];
+  for (const span of spans) {
+    const raw = text.slice(span.start, span.end);
+    const leading = raw.length - raw.trimStart().length;
+    const trimmed = raw.trim();
+    if (!trimmed) continue;
+
+    const start = span.start + leading;
+    chunks.push({
+      text: trimmed,
+      start,
+      end: start + trimmed.length,
+      metadata: { ...metadata }
+    });
+  }
+  return chunks;
+}
+
+function splitRange(text, start, end, { chunkSize, chunkOverlap }, lengthOf, metadata) {
+  const pieces = splitPieces(text, start, end, SEPARATORS, chunkSize, lengthOf);
+  const spans = mergePieces(text, pieces, chunkSize, chunkOverlap, lengthOf);
+  return toChunks(text, spans, metadata);
+}
+
+/**
+ * Split on paragraphs, then lines, then sentences, then words, merging the
+ * pieces back into chunks of at most `chunkSize` characters
+ * @param {string} text - Text to split
+ * @param {Object} options - { chunkSize, chunkOverlap } in characters
+ * @returns {Array} Chunks
+ */
+function recursiveSplit(text, options) {
+  return splitRange(text, 0, text.length, options, charLength);
+}
+
+/**
+ * Same boundaries as the recursive splitter, but chunk size and overlap are
+ * measured in (approximate) tokens instead of characters
+ * @param {string} text - Text to split
+ * @param {Object} options - { chunkSize, chunkOverlap } in tokens
+ * @returns {Array} Chunks
+ */
+function tokenSplit(text, options) {
+  return splitRange(text, 0, text.length, options, countTokens);
+}
+
+/**
+ * Split markdown into sections at headings, then split each section
+ * recursively. Each chunk records the heading path it falls under in
+ * `metadata.sectionPath`, e.g. ["Setup", "Installation"].
+ * @param {string} text - Markdown text to split
+ * @param {Object} options - { chunkSize, chunkOverlap } in characters
+ * @returns {Array} Chunks
+ */
+function markdownSplit(text, options) {
+  const headings = Array.from(text.matchAll(HEADING_PATTERN)).map(match => ({
+    index: match.index,
+    level: match[1].length,
+    title: match[2].trim()
+  }));
+
+  const sections = [];
+  if (headings.length === 0 || headings[0].index > 0) {
+    sections.push({ start: 0, end: headings.length > 0 ? headings[0].index : text.length, path: [] });
+  }
+
+  const stack = [];
+  headings.forEach((heading, i) => {
+    while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) {
+      stack.pop();
+    }
+    stack.push(heading);
+    sections.push({
+      start: heading.index,
+      end: i + 1 < headings.length ? headings[i + 1].index : text.length,
+      path: stack.map(entry => entry.title)
+    });
+  });
+
+  const chunks = [];
+  for (const section of sections) {
+    chunks.push(...splitRange(text, section.start, section.end, options, charLength, { sectionPath: section.path }));
+  }
+  return chunks;
+}
+
+const splitters = {
+  recursive: recursiveSplit,
+  token: tokenSplit,
+  markdown: markdownSplit
+};
+
+/**
+ * Validate splitter options and fill in defaults for the chosen strategy
+ * @param {Object} [input] - { strategy, chunkSize, chunkOverlap }, numbers may be strings
+ * @returns {Object} Resolved { strategy, chunkSize, chunkOverlap }
+ */
+function resolveSplitterOptions(input = {}) {
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_SPLITTER_OPTIONS';
+    return error;
+  };
+
+  const strategy = input.strategy || 'recursive';
+  if (!STRATEGIES.includes(strategy)) {
+    throw invalid(`Unknown chunk strategy "${strategy}". Use one of: ${STRATEGIES.join(', ')}`);
+  }
+
+  const defaults = DEFAULTS[strategy];
+  const limits = LIMITS[strategy];
+  const chunkSize = input.chunkSize !== undefined && input.chunkSize !== '' ? Number(input.chunkSize) : defaults.chunkSize;
+  const chunkOverlap = input.chunkOverlap !== undefined && input.chunkOverlap !== '' ? Number(input.chunkOverlap) : Math.round(chunkSize * defaults.chunkOverlap / defaults.chunkSize);
+
+  if (!Number.isInteger(chunkSize) || chunkSize < limits.min || chunkSize > limits.max) {
+    throw invalid(`chunkSize must be an integer between ${limits.min} and ${limits.max} for the ${strategy} strategy`);
+  }
+  if (!Number.isInteger(chunkOverlap) || chunkOverlap < 0 || chunkOverlap > chunkSize / 2) {
+    throw invalid('chunkOverlap must be a non-negative integer no larger than half of chunkSize');
+  }
+
+  return { strategy, chunkSize, chunkOverlap };
+}
+
+/**
+ * Split text with the given strategy
+ * @param {string} text - Text to split
+ * @param {Object} [options] - { strategy, chunkSize, chunkOverlap }
+ * @returns {Array} Chunks of { text, start, end, metadata }
+ */
+function splitText(text, options = {}) {
+  const resolved = resolveSplitterOptions(options);
+  return splitters[resolved.strategy](text || '', resolved);
+}
+
+module.exports = {
+  STRATEGIES,
+  countTokens,
+  recursiveSplit,
+  tokenSplit,
+  markdownSplit,
+  resolveSplitterOptions,
+  splitText
+};
@@ -0,0 +1,382 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const zlib = require('zlib');
+require('dotenv').config();
+
+/**
+ * Fetches web pages for URL ingestion without letting a caller reach internal
+ * services. Every hop of a redirect chain is resolved and checked against the
+ * blocked ranges, and the connection is pinned to the checked addresses so a
+ * second DNS answer can't swap in another host. Responses are limited in size
+ * and content type, each fetch has an overall deadline, and robots.txt is honored
+ * for every host in the chain when URL_RESPECT_ROBOTS is set.
+ */
+
+const USER_AGENT_TOKEN = 'RAGChatBot';
+const USER_AGENT = `Mozilla/5.0 (compatible; ${USER_AGENT_TOKEN}/1.0)`;
+
+const MAX_REDIRECTS = 5;
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_CONTENT_TYPES = ['text/html', 'application/xhtml+xml'];
+const ROBOTS_MAX_BYTES = 512 * 1024;
+
+const fetchError = (code, message, details = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+};
+
+// Loopback, private, link-local (including cloud metadata endpoints), shared,
+// multicast and reserved ranges; IPv4-mapped IPv6 addresses match the IPv4 rules.
+// Translation and tunnelling prefixes that embed an IPv4 address (NAT64, including
+// the local-use prefix, 6to4 and Teredo) can reach any IPv4 host, so they are refused outright
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 96, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['64:ff9b:1::', 48, 'ipv6'],
+  ['2001::', 32, 'ipv6'],
+  ['2002::', 16, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['fec0::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+].forEach(([network, prefix, type]) => blockedAddresses.addSubnet(network, prefix, type));
+
+/**
+ * Whether an IP address is in a range fetched URLs may not reach
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+const getMaxBytes = () => parseInt(process.env.URL_MAX_BYTES, 10) || DEFAULT_MAX_BYTES;
+
+const getAllowedContentTypes = () => (process.env.URL_ALLOWED_CONTENT_TYPES
+  ? process.env.URL_ALLOWED_CONTENT_TYPES.split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+  : DEFAULT_CONTENT_TYPES);
+
+// Resolve a URL's host and refuse it if any of its addresses is blocked
+async function resolvePublicAddresses(url) {
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  } catch (error) {
+    throw fetchError('FETCH_FAILED', `Could not resolve ${hostname}`);
+  }
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw fetchError('BLOCKED_HOST', `${hostname} resolves to an address that can't be fetched`);
+  }
+  return addresses;
+}
+
+// Decompress the response body according to its Content-Encoding
+const decodeBody = (response) => {
+  switch ((response.headers['content-encoding'] || '').trim().toLowerCase()) {
+    case 'gzip':
+    case 'x-gzip':
+      return response.pipe(zlib.createGunzip());
+    case 'deflate':
+      return response.pipe(zlib.createInflate());
+    case 'br':
+      return response.pipe(zlib.createBrotliDecompress());
+    default:
+      return response;
+  }
+};
+
+// Abort signal that fires when the caller's signal does or after timeout ms, whichever is first
+function withDeadline(signal, timeout) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => {
+    controller.abort(fetchError('FETCH_TIMEOUT', `The fetch did not finish within ${timeout} ms`));
+  }, timeout);
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal) {
+    if (signal.aborted) onAbort();
+    else signal.addEventListener('abort', onAbort, { once: true });
+  }
+  return {
+    signal: controller.signal,
+    clear: () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  };
+}
+
+// Send one request to pre-checked addresses and return the response without following redirects
+function requestOnce(url, addresses, { signal }) {
+  const client = url.protocol === 'https:' ? https : http;
+  // Only ever connect to the addresses that were checked
+  const lookup = (hostname, options, callback) => {
+    if (options && options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  };
+
+  return new Promise((resolve, reject) => {
+    const request = client.get(url, {
+      lookup,
+      signal,
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.9',
+        'Accept-Encoding': 'gzip, deflate, br'
+      }
+    }, resolve);
+    request.on('error', reject);
+  });
+}
+
+// Read a response body, failing as soon as it exceeds maxBytes once decompressed
+function readBody(response, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const body = decodeBody(response);
+    const chunks = [];
+    let size = 0;
+    body.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        response.destroy();
+        body.destroy();
+        reject(fetchError('TOO_LARGE', `The response is larger than ${maxBytes} bytes`, { maxBytes }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    body.on('end', () => resolve(Buffer.concat(chunks)));
+    body.on('error', reject);
+    response.on('error', reject);
+    // Aborting the request (at the deadline) closes the response without an end
+    response.on('close', () => {
+      if (!response.complete) reject(new Error('The response was cut off'));
+    });
+  });
+}
+
+// Decode a body with the charset from its Content-Type, defaulting to UTF-8
+const decodeText = (buffer, contentType) => {
+  const charset = (/charset=["']?([\w-]+)/i.exec(contentType || '') || [])[1];
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(buffer);
+  } catch (error) {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+};
+
+/**
+ * Fetch a URL, following redirects and checking every hop against the blocked ranges
+ * (and, with respectRobots, against the robots.txt of each hop's origin). The whole
+ * fetch, redirects and body included, has to finish within the timeout.
+ * @param {string} source - http(s) URL
+ * @param {Object} [options] - { signal, timeout, maxBytes, contentTypes, respectRobots };
+ *   contentTypes are lower-case media types, or null to accept any
+ * @returns {Promise<Object>} { url, status, contentType, body (Buffer) } of the final response
+ * @throws INVALID_URL, BLOCKED_HOST, TOO_LARGE, NON_HTML, ROBOTS_DISALLOWED,
+ *   TOO_MANY_REDIRECTS, FETCH_TIMEOUT or FETCH_FAILED (with status for HTTP errors)
+ */
+async function fetchChecked(source, options = {}) {
+  const deadline = withDeadline(options.signal, options.timeout || DEFAULT_TIMEOUT_MS);
+  try {
+    return await followRedirects(source, { ...options, signal: deadline.signal });
+  } catch (error) {
+    const reason = deadline.signal.reason;
+    if (deadline.signal.aborted && reason && reason.code === 'FETCH_TIMEOUT') throw reason;
+    throw error;
+  } finally {
+    deadline.clear();
+  }
+}
+
+async function followRedirects(source, options) {
+  const { signal } = options;
+  const maxBytes = options.maxBytes || getMaxBytes();
+  const contentTypes = options.contentTypes === undefined ? getAllowedContentTypes() : options.contentTypes;
+
+  let url;
+  try {
+    url = new URL(source);
+  } catch (error) {
+    throw fetchError('INVALID_URL', 'Invalid URL format');
+  }
+
+  for (let redirects = 0; ; redirects++) {
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw fetchError('INVALID_URL', 'Only HTTP and HTTPS URLs can be fetched');
+    }
+    const addresses = await resolvePublicAddresses(url);
+
+    // A redirect can lead to another host, so each hop answers to its own robots.txt
+    if (options.respectRobots && !(await isAllowedByRobots(url, { signal }))) {
+      throw fetchError('ROBOTS_DISALLOWED', `robots.txt of ${url.origin} doesn't allow fetching ${url.pathname}`);
+    }
+
+    let response;
+    try {
+      response = await requestOnce(url, addresses, { signal });
+    } catch (error) {
+      if (signal.aborted) throw error;
+      throw fetchError('FETCH_FAILED', `Failed to fetch ${url.href}: ${error.message}`);
+    }
+
+    const { statusCode, headers } = response;
+    if (statusCode >= 300 && statusCode < 400 && headers.location) {
+      response.resume();
+      if (redirects >= MAX_REDIRECTS) {
+        throw fetchError('TOO_MANY_REDIRECTS', `Stopped after ${MAX_REDIRECTS} redirects`);
+      }
+      url = new URL(headers.location, url);
+      continue;
+    }
+    if (statusCode < 200 || statusCode >= 300) {
+      response.resume();
+      throw fetchError('FETCH_FAILED', `${url.href} responded with status ${statusCode}`, { status: statusCode });
+    }
+
+    const contentType = (headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (contentTypes && !contentTypes.includes(contentType)) {
+      response.resume();
+      throw fetchError('NON_HTML', `Content type ${contentType || 'unknown'} is not supported`, { contentType });
+    }
+    const declaredLength = parseInt(headers['content-length'], 10);
+    if (declaredLength > maxBytes) {
+      response.destroy();
+      throw fetchError('TOO_LARGE', `The response is larger than ${maxBytes} bytes`, { maxBytes });
+    }
+
+    const body = await readBody(response, maxBytes);
+    return { url: url.href, status: statusCode, contentType: headers['content-type'] || '', body };
+  }
+}
+
+/**
+ * The Allow and Disallow rules of a robots.txt that apply to this fetcher: the
+ * group naming our user agent, or else the "*" group
+ * @param {string} text - robots.txt contents
+ * @returns {Object[]} Rules as { allow, path }
+ */
+function parseRobots(text) {
+  const groups = [];
+  let current = null;
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const field = line.substring(0, separator).trim().toLowerCase();
+    const value = line.substring(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!current || current.rules.length > 0) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+    } else if ((field === 'allow' || field === 'disallow') && current) {
+      // An empty Disallow allows everything
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    }
+  }
+
+  const token = USER_AGENT_TOKEN.toLowerCase();
+  const group = groups.find(entry => entry.agents.some(agent => agent !== '*' && token.includes(agent)))
+    || groups.find(entry => entry.agents.includes('*'));
+  return group ? group.rules : [];
+}
+
+// Whether a robots.txt path pattern, with * wildcards and a $ end anchor, matches a path
+const robotsPatternMatches = (pattern, path) => {
+  const anchored = pattern.endsWith('$');
+  const expression = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${expression}${anchored ? '$' : ''}`).test(path);
+};
+
+/**
+ * Whether robots.txt lets this fetcher read a URL. The longest matching rule
+ * wins, and Allow wins a tie. A missing or unreadable robots.txt allows everything.
+ * @param {URL} url - URL to check
+ * @param {Object} [options] - { signal, timeout }
+ * @returns {Promise<boolean>}
+ * @throws Whatever ended the fetch when options.signal was aborted
+ */
+async function isAllowedByRobots(url, options = {}) {
+  let text;
+  try {
+    const robots = await fetchChecked(new URL('/robots.txt', url).href, {
+      ...options,
+      maxBytes: ROBOTS_MAX_BYTES,
+      contentTypes: null
+    });
+    text = decodeText(robots.body, robots.contentType);
+  } catch (error) {
+    // The page fetch this check belongs to is over; don't read it as "no robots.txt"
+    if (options.signal && options.signal.aborted) throw error;
+    if (error.status !== 404 && error.status !== 410) {
+      console.warn(`Ignoring robots.txt of ${url.origin}: ${error.message}`);
+    }
+    return true;
+  }
+
+  const path = `${url.pathname}${url.search}`;
+  let decision = null;
+  for (const rule of parseRobots(text)) {
+    if (!robotsPatternMatches(rule.path, path)) continue;
+    const length = rule.path.length;
+    if (!decision || length > decision.length || (length === decision.length && rule.allow)) {
+      decision = { allow: rule.allow, length };
+    }
+  }
+  return decision ? decision.allow : true;
+}
+
+/**
+ * Fetch a web page for ingestion. Private, loopback and link-local hosts are
+ * refused on every redirect hop, and the page must be one of the allowed content
+ * types (URL_ALLOWED_CONTENT_TYPES) and no larger than URL_MAX_BYTES. With
+ * URL_RESPECT_ROBOTS=true, a page is refused if the robots.txt of any host in
+ * its redirect chain disallows it.
+ * @param {string} source - http(s) URL
+ * @param {Object} [options] - { signal, timeout }
+ * @returns {Promise<Object>} { url, html, sizeBytes } where url is the final URL after redirects
+ * @throws BLOCKED_HOST, TOO_LARGE, NON_HTML, ROBOTS_DISALLOWED and the other fetchChecked codes
+ */
+async function fetchPage(source, options = {}) {
+  const response = await fetchChecked(source, {
+    ...options,
+    respectRobots: process.env.URL_RESPECT_ROBOTS === 'true'
+  });
+  return {
+    url: response.url,
+    html: decodeText(response.body, response.contentType),
+    sizeBytes: response.body.length
+  };
+}
+
+module.exports = {
+  isBlockedAddress,
+  fetchPage
+};
@@ -0,0 +1,551 @@
+const fs = require('fs');
+const path = require('path');
+const { qdrantClient } = require('./qdrantClient');
+require('dotenv').config();
+
+// Vector size of collections that hold no real embeddings (metadata, sessions)
+const DEFAULT_VECTOR_SIZE = 768;
+
+const DEFAULT_STORE_PATH = path.join(__dirname, '..', 'data', 'vector-store.json');
+
+// Points read per request when paging through a whole collection
+const SCROLL_PAGE_SIZE = 256;
+
+// Full-text index for filename search: case-insensitive, and each query word matches
+// the start of a word, so "inv" finds "Invoice-2024.pdf"
+const FILENAME_TEXT_INDEX = { type: 'text', tokenizer: 'prefix', lowercase: true, min_token_len: 1, max_token_len: 20 };
+
+// Payload indexes created with each collection, so payload filters stay fast in Qdrant.
+// Fields are keyword indexes unless given as { field, schema }; datetime indexes also
+// let scroll order by the field.
+const PAYLOAD_INDEXES = {
+  document_metadata: [
+    'apiKeyHash',
+    'workspaceId',
+    'collectionId',
+    'contentHash',
+    { field: 'originalFilename', schema: FILENAME_TEXT_INDEX },
+    { field: 'uploadedAt', schema: 'datetime' },
+    { field: 'lastAccessed', schema: 'datetime' }
+  ],
+  chat_sessions: ['apiKeyHash', 'workspaceId', { field: 'updatedAt', schema: 'datetime' }],
+  users: ['userId', 'username'],
+  workspaces: ['memberIds'],
+  access_tokens: ['userId', 'tokenId'],
+  admin_audit: ['action', 'admin', { field: 'at', schema: 'datetime' }]
+};
+const VECTOR_PAYLOAD_INDEXES = ['documentId'];
+
+/**
+ * Vector stores share one async interface, modelled on Qdrant's request bodies
+ * so services can move between backends without changes:
+ *   ensureCollection(name, { size }) -> void
+ *   upsert(name, { points: [{ id, vector, payload }] }) -> void
+ *   search(name, { vector, filter, limit, score_threshold }) -> [{ id, score, payload }]
+ *   scroll(name, { filter, limit, offset, order_by }) -> { points: [{ id, payload }], nextOffset }
+ *   count(name, { filter }) -> number
+ *   retrieve(name, { ids }) -> [{ id, payload }]
+ *   delete(name, { points } | { filter }) -> void
+ *   setPayload(name, { payload, points } | { payload, filter }) -> void
+ *
+ * Filters use Qdrant's syntax: { must, should, must_not } lists of conditions
+ * such as { key, match: { value } }, { key, match: { any } } or { key, range }.
+ * `nextOffset` is the ID to pass as `offset` for the next page, or null.
+ * `order_by` ({ key, direction }) sorts by an indexed datetime field instead of by
+ * ID; points without the field are left out and no `nextOffset` is returned, so
+ * callers page with a range filter on the field. { key, match: { text } } matches
+ * fields whose words start with every word of the text, ignoring case.
+ */
+
+/**
+ * Name of the collection holding chunk vectors of the given dimension.
+ * Vectors of different sizes can't share a collection, so each dimension
+ * gets its own; 768 keeps the original name for existing data.
+ * @param {number} dimension - Embedding dimension
+ * @returns {string} Collection name
+ */
+function getVectorCollectionName(dimension) {
+  return dimension === DEFAULT_VECTOR_SIZE ? 'document_vectors' : `document_vectors_${dimension}`;
+}
+
+// Payload indexes of a collection, as [{ field, schema }]
+const getPayloadIndexes = (collectionName) => {
+  const indexes = collectionName.startsWith('document_vectors')
+    ? VECTOR_PAYLOAD_INDEXES
+    : PAYLOAD_INDEXES[collectionName] || [];
+  return indexes.map(index => (typeof index === 'string' ? { field: index, schema: 'keyword' } : index));
+};
+
+const schemaType = (schema) => (typeof schema === 'string' ? schema : schema.type);
+
+/**
+ * Qdrant-backed vector store
+ * @param {Object} client - Qdrant REST client
+ * @returns {Object} Vector store
+ */
+function createQdrantVectorStore(client) {
+  // Collections known to exist, so getCollections isn't called on every request
+  const knownCollections = new Set();
+
+  return {
+    async ensureCollection(collectionName, { size = DEFAULT_VECTOR_SIZE } = {}) {
+      if (knownCollections.has(collectionName)) return;
+      try {
+        // Check if collection exists
+        const collections = await client.getCollections();
+        const exists = collections.collections && collections.collections.some(c => c.name === collectionName);
+
+        // Indexes added since an existing collection was created are created now,
+        // and an index of the wrong type (such as a keyword index that became a
+        // full-text index) is replaced
+        let existingIndexes = {};
+        if (!exists) {
+          await client.createCollection(collectionName, {
+            vectors: {
+              size: size,
+              distance: "Cosine"
+            }
+          });
+        } else {
+          const info = await client.getCollection(collectionName);
+          existingIndexes = info.payload_schema || {};
+        }
+
+        for (const { field, schema } of getPayloadIndexes(collectionName)) {
+          const existing = existingIndexes[field];
+          if (existing && existing.data_type === schemaType(schema)) continue;
+          try {
+            if (existing) {
+              await client.deletePayloadIndex(collectionName, field, { wait: true });
+            }
+            await client.createPayloadIndex(collectionName, {
+              field_name: field,
+              field_schema: schema,
+              wait: true
+            });
+            console.log(`Created ${schemaType(schema)} index for ${field} field in ${collectionName} collection`);
+          } catch (indexError) {
+            console.error(`Error creating ${field} index:`, indexError);
+          }
+        }
+        knownCollections.add(collectionName);
+      } catch (error) {
+        console.error('Error ensuring collection exists:', error);
+        // Don't throw error in production to prevent crashes
+        if (process.env.NODE_ENV !== 'production' && !process.env.VERCEL) {
+          throw error;
+        }
+      }
+    },
+
+    async upsert(collectionName, { points }) {
+      await client.upsert(collectionName, { wait: true, points });
+    },
+
+    async search(collectionName, request) {
+      return client.search(collectionName, { with_payload: true, ...request });
+    },
+
+    async scroll(collectionName, request = {}) {
+      const response = await client.scroll(collectionName, { with_payload: true, with_vector: false, ...request });
+      return {
+        points: response.points || [],
+        nextOffset: response.next_page_offset === undefined ? null : response.next_page_offset
+      };
+    },
+
+    async count(collectionName, { filter } = {}) {
+      const response = await client.count(collectionName, { filter, exact: true });
+      return response.count;
+    },
+
+    async retrieve(collectionName, { ids }) {
+      return client.retrieve(collectionName, { ids, with_payload: true, with_vector: false });
+    },
+
+    async delete(collectionName, selector) {
+      await client.delete(collectionName, { wait: true, ...selector });
+    },
+
+    async setPayload(collectionName, request) {
+      await client.setPayload(collectionName, { wait: true, ...request });
+    }
+  };
+}
+
+// Read a possibly nested payload field such as "metadata.source"
+const getPayloadValue = (payload, key) => key.split('.').reduce(
+  (value, part) => (value === undefined || value === null ? undefined : value[part]),
+  payload
+);
+
+// Lower-case words of a text, as split by Qdrant's prefix tokenizer
+const tokenizeText = (text) => String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+const unsupportedFilter = (condition) => {
+  const error = new Error(`Unsupported filter condition: ${JSON.stringify(condition)}`);
+  error.code = 'UNSUPPORTED_FILTER';
+  return error;
+};
+
+// Evaluate a single Qdrant filter condition against a point
+function matchesCondition(point, condition) {
+  if (condition.must || condition.should || condition.must_not) {
+    return matchesFilter(point, condition);
+  }
+  if (condition.has_id) {
+    return condition.has_id.some(id => String(id) === String(point.id));
+  }
+
+  const value = getPayloadValue(point.payload, condition.key);
+  // Array fields match when any element matches, as in Qdrant
+  const values = Array.isArray(value) ? value : [value];
+
+  if (condition.match) {
+    const { match } = condition;
+    if ('value' in match) return values.some(v => v === match.value);
+    if ('any' in match) return values.some(v => match.any.includes(v));
+    if ('except' in match) return value !== undefined && value !== null && !values.some(v => match.except.includes(v));
+    if ('text' in match) {
+      const queryWords = tokenizeText(match.text);
+      return values.some(v => {
+        if (typeof v !== 'string') return false;
+        const words = tokenizeText(v);
+        return queryWords.every(queryWord => words.some(word => word.startsWith(queryWord)));
+      });
+    }
+  }
+
+  if (condition.range || condition.datetime_range) {
+    const range = condition.range || condition.datetime_range;
+    const toComparable = condition.datetime_range
+      ? (v) => (v === undefined || v === null ? NaN : new Date(v).getTime())
+      : (v) => (typeof v === 'number' ? v : NaN);
+    return values.some(v => {
+      const number = toComparable(v);
+      if (Number.isNaN(number)) return false;
+      if (range.gt !== undefined && !(number > toComparable(range.gt))) return false;
+      if (range.gte !== undefined && !(number >= toComparable(range.gte))) return false;
+      if (range.lt !== undefined && !(number < toComparable(range.lt))) return false;
+      if (range.lte !== undefined && !(number <= toComparable(range.lte))) return false;
+      return true;
+    });
+  }
+
+  if (condition.is_empty) {
+    const field = getPayloadValue(point.payload, condition.is_empty.key);
+    return field === undefined || field === null || (Array.isArray(field) && field.length === 0);
+  }
+  if (condition.is_null) {
+    return getPayloadValue(point.payload, condition.is_null.key) === null;
+  }
+
+  throw unsupportedFilter(condition);
+}
+
+// Evaluate a Qdrant filter ({ must, should, must_not }) against a point
+function matchesFilter(point, filter) {
+  if (!filter) return true;
+  const { must = [], should = [], must_not: mustNot = [] } = filter;
+  return must.every(condition => matchesCondition(point, condition))
+    && (should.length === 0 || should.some(condition => matchesCondition(point, condition)))
+    && !mustNot.some(condition => matchesCondition(point, condition));
+}
+
+// Order point IDs like Qdrant: numeric IDs first, in numeric order, then UUIDs
+const compareIds = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'number') return -1;
+  if (typeof b === 'number') return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const vectorNorm = (vector) => Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+
+// Vectors are persisted as base64-encoded float32 arrays to keep the file small
+const encodeVector = (vector) => Buffer.from(new Float32Array(vector).buffer).toString('base64');
+const decodeVector = (encoded) => {
+  const buffer = Buffer.from(encoded, 'base64');
+  return Array.from(new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4));
+};
+
+/**
+ * In-process vector store with exact cosine search. Data is kept in memory and
+ * written to `filePath` shortly after each change, so a single-node deployment
+ * keeps its documents across restarts without an external database.
+ * @param {Object} [options]
+ * @param {string|null} [options.filePath] - JSON file to persist to; null keeps data in memory only
+ * @param {number} [options.flushDelayMs] - Delay used to batch writes after changes
+ * @returns {Object} Vector store, with an extra flush() that writes pending changes
+ */
+function createLocalVectorStore({ filePath = process.env.VECTOR_STORE_PATH || DEFAULT_STORE_PATH, flushDelayMs = 500 } = {}) {
+  const collections = new Map();
+  let dirty = false;
+  let flushTimer = null;
+  let writing = Promise.resolve();
+
+  const serialize = () => {
+    const data = { version: 1, collections: {} };
+    for (const [name, collection] of collections) {
+      data.collections[name] = {
+        size: collection.size,
+        points: Array.from(collection.points.values()).map(point => ({
+          id: point.id,
+          vector: encodeVector(point.vector),
+          payload: point.payload
+        }))
+      };
+    }
+    return JSON.stringify(data);
+  };
+
+  const load = () => {
+    if (!filePath || !fs.existsSync(filePath)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      for (const [name, stored] of Object.entries(data.collections || {})) {
+        const points = new Map();
+        for (const point of stored.points) {
+          const vector = decodeVector(point.vector);
+          points.set(String(point.id), { id: point.id, vector, norm: vectorNorm(vector), payload: point.payload });
+        }
+        collections.set(name, { size: stored.size, points });
+      }
+      console.log(`Loaded local vector store from ${filePath}`);
+    } catch (error) {
+      console.error(`Error loading local vector store from ${filePath}:`, error);
+    }
+  };
+
+  const flush = async () => {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    if (!filePath || !dirty) return writing;
+    dirty = false;
+    const contents = serialize();
+    // Write to a temporary file first so a crash never leaves a truncated store behind
+    writing = writing.then(async () => {
+      try {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(`${filePath}.tmp`, contents);
+        await fs.promises.rename(`${filePath}.tmp`, filePath);
+      } catch (error) {
+        console.error(`Error writing local vector store to ${filePath}:`, error);
+      }
+    });
+    return writing;
+  };
+
+  const markDirty = () => {
+    dirty = true;
+    if (filePath && !flushTimer) {
+      flushTimer = setTimeout(flush, flushDelayMs);
+      flushTimer.unref();
+    }
+  };
+
+  if (filePath) {
+    load();
+    // Don't lose changes still waiting for the delayed write
+    process.on('exit', () => {
+      if (!dirty) return;
+      try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, serialize());
+      } catch (error) {
+        console.error(`Error writing local vector store to ${filePath}:`, error);
+      }
+    });
+  }
+
+  const getCollection = (collectionName) => {
+    const collection = collections.get(collectionName);
+    if (!collection) {
+      const error = new Error(`Collection ${collectionName} not found`);
+      error.code = 'COLLECTION_NOT_FOUND';
+      throw error;
+    }
+    return collection;
+  };
+
+  const selectPoints = (collection, { points, filter }) => {
+    if (points) {
+      return points.map(id => collection.points.get(String(id))).filter(Boolean);
+    }
+    return Array.from(collection.points.values()).filter(point => matchesFilter(point, filter));
+  };
+
+  return {
+    async ensureCollection(collectionName, { size = DEFAULT_VECTOR_SIZE } = {}) {
+      if (!collections.has(collectionName)) {
+        collections.set(collectionName, { size, points: new Map() });
+        markDirty();
+      }
+    },
+
+    async upsert(collectionName, { points }) {
+      const collection = getCollection(collectionName);
+      for (const point of points) {
+        if (!Array.isArray(point.vector) || point.vector.length !== collection.size) {
+          const error = new Error(`Vector dimension error: expected dim: ${collection.size}, got ${point.vector ? point.vector.length : 0}`);
+          error.code = 'VECTOR_DIMENSION_MISMATCH';
+          throw error;
+        }
+        collection.points.set(String(point.id), {
+          id: point.id,
+          vector: point.vector.slice(),
+          norm: vectorNorm(point.vector),
+          payload: structuredClone(point.payload || {})
+        });
+      }
+      markDirty();
+    },
+
+    async search(collectionName, { vector, filter, limit = 10, offset = 0, score_threshold: scoreThreshold } = {}) {
+      const collection = getCollection(collectionName);
+      const queryNorm = vectorNorm(vector);
+
+      const results = [];
+      for (const point of collection.points.values()) {
+        if (!matchesFilter(point, filter)) continue;
+        const dot = point.vector.reduce((sum, value, i) => sum + value * vector[i], 0);
+        const score = queryNorm > 0 && point.norm > 0 ? dot / (queryNorm * point.norm) : 0;
+        if (scoreThreshold !== undefined && score < scoreThreshold) continue;
+        results.push({ id: point.id, score, payload: structuredClone(point.payload) });
+      }
+
+      return results
+        .sort((a, b) => b.score - a.score)
+        .slice(offset, offset + limit);
+    },
+
+    async scroll(collectionName, { filter, limit = 10, offset, order_by: orderBy } = {}) {
+      const collection = getCollection(collectionName);
+      const matching = Array.from(collection.points.values())
+        .filter(point => matchesFilter(point, filter));
+
+      if (orderBy) {
+        const direction = orderBy.direction === 'desc' ? -1 : 1;
+        const timeOf = (point) => new Date(getPayloadValue(point.payload, orderBy.key)).getTime();
+        return {
+          points: matching
+            .filter(point => !Number.isNaN(timeOf(point)))
+            .sort((a, b) => (timeOf(a) - timeOf(b)) * direction)
+            .slice(0, limit)
+            .map(point => ({ id: point.id, payload: structuredClone(point.payload) })),
+          nextOffset: null
+        };
+      }
+
+      matching.sort((a, b) => compareIds(a.id, b.id));
+
+      const start = offset === undefined || offset === null
+        ? 0
+        : matching.findIndex(point => compareIds(point.id, offset) >= 0);
+      const page = start === -1 ? [] : matching.slice(start, start + limit);
+      const next = start === -1 ? undefined : matching[start + limit];
+
+      return {
+        points: page.map(point => ({ id: point.id, payload: structuredClone(point.payload) })),
+        nextOffset: next ? next.id : null
+      };
+    },
+
+    async count(collectionName, { filter } = {}) {
+      const collection = getCollection(collectionName);
+      return selectPoints(collection, { filter }).length;
+    },
+
+    async retrieve(collectionName, { ids }) {
+      const collection = getCollection(collectionName);
+      return selectPoints(collection, { points: ids })
+        .map(point => ({ id: point.id, payload: structuredClone(point.payload) }));
+    },
+
+    async delete(collectionName, selector) {
+      const collection = getCollection(collectionName);
+      for (const point of selectPoints(collection, selector)) {
+        collection.points.delete(String(point.id));
+      }
+      markDirty();
+    },
+
+    async setPayload(collectionName, { payload, ...selector }) {
+      const collection = getCollection(collectionName);
+      for (const point of selectPoints(collection, selector)) {
+        Object.assign(point.payload, structuredClone(payload));
+      }
+      markDirty();
+    },
+
+    flush
+  };
+}
+
+let vectorStore = null;
+
+/**
+ * Get the active vector store, creating it on first use. VECTOR_STORE selects
+ * 'qdrant' or 'local'; by default Qdrant is used when QDRANT_URL is set.
+ * @returns {Object} Vector store
+ */
+function getVectorStore() {
+  if (!vectorStore) {
+    const storeType = process.env.VECTOR_STORE || (qdrantClient ? 'qdrant' : 'local');
+    if (storeType === 'qdrant' && qdrantClient) {
+      vectorStore = createQdrantVectorStore(qdrantClient);
+    } else {
+      if (storeType !== 'local') {
+        console.error(`Vector store "${storeType}" is not available, falling back to the local store`);
+      }
+      vectorStore = createLocalVectorStore();
+      console.log('Using the local vector store');
+    }
+  }
+  return vectorStore;
+}
+
+/**
+ * Replace the active vector store with a custom implementation
+ * @param {Object} store - Object implementing the vector store interface
+ */
+function setVectorStore(store) {
+  vectorStore = store;
+}
+
+/**
+ * Read every point matching a filter from the active store, following
+ * nextOffset page by page, so results are never cut off at one page
+ * @param {string} collectionName - Collection to read
+ * @param {Object} [options] - { filter, pageSize }
+ * @returns {Promise<Array>} Points ({ id, payload })
+ */
+async function scrollAll(collectionName, { filter, pageSize = SCROLL_PAGE_SIZE } = {}) {
+  const points = [];
+  let offset = null;
+  do {
+    const page = await getVectorStore().scroll(collectionName, {
+      filter,
+      limit: pageSize,
+      offset: offset === null ? undefined : offset,
+      with_payload: true,
+      with_vector: false
+    });
+    points.push(...page.points);
+    offset = page.nextOffset;
+  } while (offset !== null && offset !== undefined);
+  return points;
+}
+
+module.exports = {
+  DEFAULT_VECTOR_SIZE,
+  getVectorCollectionName,
+  matchesFilter,
+  createQdrantVectorStore,
+  createLocalVectorStore,
+  getVectorStore,
+  setVectorStore,
+  scrollAll
+};